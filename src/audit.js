@@ -0,0 +1,266 @@
+/**
+ * LINK AUDIT
+ *
+ * Post-crawl report built from results and dead-letter entries:
+ *   broken         - links to URLs that answered 4xx/5xx or failed (DNS,
+ *                    timeout, network), grouped by the page that links to them
+ *   redirectChains - pages reached through more than maxRedirectHops redirects
+ *   redirectLoops  - redirects that came back to a URL already in the chain
+ *   mixedContent   - http:// links on https:// pages
+ *
+ * Results are read twice: addResult() for every result first (to learn which
+ * URLs are broken), then addLinks() for every result (to find who links to them).
+ */
+
+const FORMATS = {
+  '.json': 'json',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+};
+
+class LinkAudit {
+  constructor(options = {}) {
+    this.maxRedirectHops = options.maxRedirectHops ?? 1;
+    this.seedUrl = options.seedUrl ?? null;
+    this.pagesChecked = 0;
+    this.brokenUrls = new Map(); // url -> { url, status, error, kind, linkedFrom }
+    this.brokenByPage = new Map(); // page -> [{ url, status, error, kind, element, text }]
+    this.redirectChains = [];
+    this.redirectLoops = [];
+    this.mixedContent = [];
+  }
+
+  /**
+   * First pass: status and redirects of one result
+   */
+  addResult(result) {
+    if (!result || result.status === null || result.status === undefined) return; // "gone" markers
+    this.pagesChecked++;
+
+    if (result.status >= 400) {
+      this.addBroken({ url: result.url, status: result.status, error: null, kind: result.status >= 500 ? 'server' : 'client' });
+    }
+
+    const chain = result.redirectChain || [];
+    if (result.redirectError === 'loop') {
+      this.redirectLoops.push({ url: result.url, chain });
+    } else if (chain.length > this.maxRedirectHops) {
+      this.redirectChains.push({
+        url: result.url,
+        hops: chain.length,
+        chain,
+        finalUrl: result.finalUrl ?? null,
+        finalStatus: result.status,
+      });
+    }
+  }
+
+  /**
+   * A URL that failed without a usable response (dead-letter entry)
+   */
+  addFailure(entry) {
+    if (!entry || !entry.url || this.brokenUrls.has(entry.url)) return;
+    this.addBroken({ url: entry.url, status: entry.status ?? null, error: entry.error ?? null, kind: entry.kind ?? 'network' });
+  }
+
+  addBroken({ url, status, error, kind }) {
+    this.brokenUrls.set(url, { url, status, error, kind, linkedFrom: 0 });
+  }
+
+  /**
+   * Second pass: links of one result to broken URLs, and mixed content
+   */
+  addLinks(result) {
+    if (!result || !result.links) return;
+    // Links belong to the page that was served, i.e. the end of any redirect chain
+    const pageUrl = result.finalUrl || result.url;
+    const securePage = pageUrl.startsWith('https:');
+
+    for (const link of result.links) {
+      const broken = this.brokenUrls.get(link.url);
+      if (broken && link.url !== pageUrl) {
+        broken.linkedFrom++;
+        if (!this.brokenByPage.has(pageUrl)) this.brokenByPage.set(pageUrl, []);
+        this.brokenByPage.get(pageUrl).push({
+          url: link.url,
+          status: broken.status,
+          error: broken.error,
+          kind: broken.kind,
+          element: link.element,
+          text: link.text,
+        });
+      }
+
+      if (securePage && link.url.startsWith('http:')) {
+        this.mixedContent.push({ page: pageUrl, url: link.url, element: link.element, type: link.type });
+      }
+    }
+  }
+
+  /**
+   * The report as a plain object (what toJSON() serializes)
+   */
+  getReport() {
+    const broken = Array.from(this.brokenByPage, ([page, links]) => ({ page, links }));
+    return {
+      generatedAt: new Date().toISOString(),
+      seedUrl: this.seedUrl,
+      pagesChecked: this.pagesChecked,
+      maxRedirectHops: this.maxRedirectHops,
+      summary: {
+        brokenUrls: this.brokenUrls.size,
+        brokenLinks: broken.reduce((sum, group) => sum + group.links.length, 0),
+        pagesWithBrokenLinks: broken.length,
+        longRedirectChains: this.redirectChains.length,
+        redirectLoops: this.redirectLoops.length,
+        mixedContentLinks: this.mixedContent.length,
+      },
+      broken,
+      brokenUrls: Array.from(this.brokenUrls.values()),
+      redirectChains: this.redirectChains,
+      redirectLoops: this.redirectLoops,
+      mixedContent: this.mixedContent,
+    };
+  }
+
+  /**
+   * Export format implied by a file name (.json, .md, .html)
+   */
+  static formatFor(filename) {
+    const extension = (filename.match(/\.[^./]+$/) || [''])[0].toLowerCase();
+    const format = FORMATS[extension];
+    if (!format) {
+      throw new Error(`Unknown audit report format for ${filename} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return format;
+  }
+
+  serialize(format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(this.getReport(), null, 2);
+      case 'markdown':
+        return this.toMarkdown();
+      case 'html':
+        return this.toHtml();
+      default:
+        throw new Error(`Unknown audit report format: ${format}`);
+    }
+  }
+
+  toMarkdown() {
+    const report = this.getReport();
+    const lines = [
+      '# Crawl Audit Report',
+      '',
+      `${report.seedUrl ? `Seed: ${report.seedUrl} - ` : ''}${report.pagesChecked} pages checked - generated ${report.generatedAt}`,
+      '',
+      '| Check | Count |',
+      '| --- | --- |',
+      ...summaryRows(report).map(([label, count]) => `| ${label} | ${count} |`),
+      '',
+      '## Broken Links',
+      '',
+    ];
+
+    if (report.broken.length === 0) lines.push('None.', '');
+    for (const { page, links } of report.broken) {
+      lines.push(`### ${page}`, '');
+      for (const link of links) {
+        lines.push(`- ${describeFailure(link)} ${link.url} (${link.element}${link.text ? `: "${link.text}"` : ''})`);
+      }
+      lines.push('');
+    }
+
+    lines.push(`## Redirect Chains Longer Than ${report.maxRedirectHops} Hop(s)`, '');
+    if (report.redirectChains.length === 0) lines.push('None.');
+    for (const entry of report.redirectChains) {
+      lines.push(`- ${formatChain(entry.chain)} -> ${entry.finalUrl} (${entry.finalStatus})`);
+    }
+    lines.push('', '## Redirect Loops', '');
+    if (report.redirectLoops.length === 0) lines.push('None.');
+    for (const entry of report.redirectLoops) {
+      lines.push(`- ${formatChain(entry.chain)} -> ${entry.chain[entry.chain.length - 1]?.location}`);
+    }
+    lines.push('', '## Mixed Content', '');
+    if (report.mixedContent.length === 0) lines.push('None.');
+    for (const entry of report.mixedContent) {
+      lines.push(`- ${entry.page} -> ${entry.url} (${entry.element}, ${entry.type})`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  toHtml() {
+    const report = this.getReport();
+    const list = (items, render) =>
+      items.length === 0 ? '<p>None.</p>' : `<ul>\n${items.map((item) => `  <li>${render(item)}</li>`).join('\n')}\n</ul>`;
+
+    const sections = [
+      '<!DOCTYPE html>',
+      '<html><head><meta charset="utf-8"><title>Crawl Audit Report</title>',
+      '<style>body{font-family:sans-serif;max-width:60em;margin:auto}td,th{padding:.2em .8em;text-align:left}.status{font-weight:bold;color:#b00}</style>',
+      '</head><body>',
+      '<h1>Crawl Audit Report</h1>',
+      `<p>${report.seedUrl ? `Seed: ${escapeHtml(report.seedUrl)} - ` : ''}${report.pagesChecked} pages checked - generated ${report.generatedAt}</p>`,
+      '<table><tr><th>Check</th><th>Count</th></tr>',
+      ...summaryRows(report).map(([label, count]) => `<tr><td>${label}</td><td>${count}</td></tr>`),
+      '</table>',
+      '<h2>Broken Links</h2>',
+    ];
+
+    if (report.broken.length === 0) sections.push('<p>None.</p>');
+    for (const { page, links } of report.broken) {
+      sections.push(`<h3>${escapeHtml(page)}</h3>`);
+      sections.push(
+        list(
+          links,
+          (link) =>
+            `<span class="status">${escapeHtml(describeFailure(link))}</span> ${escapeHtml(link.url)} ` +
+            `(${escapeHtml(link.element)}${link.text ? `: &quot;${escapeHtml(link.text)}&quot;` : ''})`
+        )
+      );
+    }
+
+    sections.push(`<h2>Redirect Chains Longer Than ${report.maxRedirectHops} Hop(s)</h2>`);
+    sections.push(list(report.redirectChains, (entry) => escapeHtml(`${formatChain(entry.chain)} -> ${entry.finalUrl} (${entry.finalStatus})`)));
+    sections.push('<h2>Redirect Loops</h2>');
+    sections.push(list(report.redirectLoops, (entry) => escapeHtml(`${formatChain(entry.chain)} -> ${entry.chain[entry.chain.length - 1]?.location}`)));
+    sections.push('<h2>Mixed Content</h2>');
+    sections.push(list(report.mixedContent, (entry) => escapeHtml(`${entry.page} -> ${entry.url} (${entry.element}, ${entry.type})`)));
+    sections.push('</body></html>');
+    return sections.join('\n') + '\n';
+  }
+}
+
+function summaryRows(report) {
+  const { summary } = report;
+  return [
+    ['Broken URLs', summary.brokenUrls],
+    ['Links to broken URLs', summary.brokenLinks],
+    ['Pages with broken links', summary.pagesWithBrokenLinks],
+    [`Redirect chains > ${report.maxRedirectHops} hop(s)`, summary.longRedirectChains],
+    ['Redirect loops', summary.redirectLoops],
+    ['Mixed-content links', summary.mixedContentLinks],
+  ];
+}
+
+function describeFailure({ status, kind, error }) {
+  if (status) return String(status);
+  return error ? `${kind}: ${error}` : kind;
+}
+
+function formatChain(chain) {
+  return chain.map((hop) => `${hop.url} (${hop.status})`).join(' -> ');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { LinkAudit };
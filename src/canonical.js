@@ -0,0 +1,86 @@
+/**
+ * URL CANONICALIZATION
+ *
+ * Maps the many spellings of one page to a single key before deduplication:
+ * - fragments are dropped (page#a and page#b are the same document)
+ * - scheme and host are lower-cased, a trailing dot on the host is removed
+ * - default ports are removed (done by the WHATWG URL parser)
+ * - tracking parameters (utm_*, fbclid, ...) are removed
+ * - remaining query parameters are sorted by name, then value
+ * - percent-escapes use upper-case hex digits
+ * - trailing slashes are removed from non-root paths (optional)
+ *
+ * The canonical form is only a key: the crawler fetches URLs as linked.
+ */
+
+const DEFAULT_TRACKING_PARAMS = [
+  'utm_*',
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_hsenc',
+  '_hsmi',
+];
+
+/**
+ * Code-unit comparison, so every process sorts the same way regardless of locale
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class UrlCanonicalizer {
+  constructor(options = {}) {
+    this.sortQueryParams = options.sortQueryParams ?? true;
+    this.stripTrailingSlash = options.stripTrailingSlash ?? true;
+    this.trackingParams = (options.trackingParams ?? DEFAULT_TRACKING_PARAMS).map((param) =>
+      param instanceof RegExp ? param : UrlCanonicalizer.compileParamPattern(param)
+    );
+  }
+
+  /**
+   * "utm_*" -> /^utm_.*$/i
+   */
+  static compileParamPattern(pattern) {
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp('^' + source + '$', 'i');
+  }
+
+  isTrackingParam(name) {
+    return this.trackingParams.some((pattern) => pattern.test(name));
+  }
+
+  /**
+   * Canonical form of an absolute URL (throws on invalid input)
+   */
+  canonicalize(input) {
+    const url = new URL(input);
+
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+
+    let params = Array.from(url.searchParams).filter(([name]) => !this.isTrackingParam(name));
+    if (this.sortQueryParams) {
+      params = params.sort(([a, av], [b, bv]) => compareStrings(a, b) || compareStrings(av, bv));
+    }
+    url.search = params.length > 0 ? new URLSearchParams(params).toString() : '';
+
+    let pathname = url.pathname.replace(/%[0-9a-f]{2}/gi, (escape) => escape.toUpperCase());
+    if (this.stripTrailingSlash && pathname.length > 1) {
+      pathname = pathname.replace(/\/+$/, '') || '/';
+    }
+    url.pathname = pathname;
+
+    return url.href;
+  }
+}
+
+module.exports = { UrlCanonicalizer, DEFAULT_TRACKING_PARAMS };
@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { DistributedWebCrawler } = require('./crawler');
+const { FileFrontier } = require('./frontier');
+const { ResultStore } = require('./storage');
+const { LinkGraph } = require('./linkgraph');
+const { LinkAudit } = require('./audit');
+
+/**
+ * COMMAND-LINE INTERFACE
+ *
+ *   crawler crawl <seed> [options]        crawl a site
+ *   crawler resume <checkpoint|run-id>    continue an interrupted crawl
+ *   crawler runs                          list stored runs
+ *   crawler stats [--run id]              statistics of a run (JSON)
+ *   crawler search <query> [--run id]     full-text search (title / URL match
+ *                                         when the run has no text index)
+ *   crawler export <file> [--run id]      results (.json), link graph
+ *                                         (.csv/.graphml/.dot) or audit (.md/.html)
+ *
+ * Every DistributedWebCrawler option is a flag: maxDepth is --max-depth 2,
+ * booleans take --flag / --no-flag, objects and arrays take JSON (arrays also
+ * a,b,c). On/off options that also take a value need it after "=":
+ * --incremental=./prev (--incremental alone is true). --config loads options from a .json or .js file; flags win.
+ * --run defaults to the newest run in --storage-dir.
+ *
+ * Exit codes: 0 done (or stopped by a budget: --max-pages, --max-bytes,
+ * --max-duration), 1 failed, 2 bad usage, 3 done but some URLs failed
+ * (with --fail-on-errors), 130 interrupted (checkpoint saved).
+ */
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, PARTIAL: 3, INTERRUPTED: 130 };
+
+// Options of the CLI itself; everything else goes to the crawler
+const CLI_OPTIONS = {
+  config: 'string', // .json / .js file with crawler options
+  frontier: 'string', // Directory of a shared FileFrontier
+  run: 'string', // Run id for stats / search / export
+  type: 'string', // export: results, graph or audit (default: from the extension)
+  json: 'boolean', // Machine-readable output
+  quiet: 'boolean', // No crawler log lines, progress only
+  progress: 'boolean', // Live progress on stderr (default on)
+  progressInterval: 'number', // ms between progress updates
+  failOnErrors: 'boolean', // Exit 3 when URLs were dead-lettered
+  limit: 'number', // search: max hits (default 10)
+  depth: 'number', // search: only pages at this depth
+  status: 'string', // search: only this status (200, 4xx)
+  contentType: 'string', // search: only content types containing this
+  help: 'boolean',
+};
+
+const USAGE = `Usage: crawler <command> [arguments] [options]
+
+Commands:
+  crawl <seed>                  Crawl a site
+  resume <checkpoint|run-id>    Continue an interrupted crawl
+  runs                          List stored runs
+  stats                         Statistics of a run
+  search <query>                Full-text search: terms, "exact phrases", -excluded
+                                (title / URL match when the run was not indexed)
+  export <file>                 Export results (.json), the link graph
+                                (.csv, .graphml, .dot) or the audit report (.md, .html)
+
+Options:
+  --config <file>               Crawler options from a .json or .js file
+  --<option> <value>            Any crawler option, e.g. --max-depth 2 --no-use-sitemaps
+                                --scope '{"subdomains":"www"}' --extractors headings,word-count
+                                (on/off options with a value: --incremental=./prev)
+  --frontier <dir>              Share the crawl through a file frontier in <dir>
+  --run <id>                    Run for stats / search / export (default: newest)
+  --type <results|graph|audit>  What export writes (default: from the file extension)
+  --limit <n>                   search: number of hits (default 10)
+  --depth <n> --status <code|4xx> --content-type <type>
+                                search: only pages at that depth / status / type
+  --json                        JSON output
+  --quiet                       Hide crawler log lines
+  --no-progress                 Hide live progress
+  --progress-interval <ms>      Progress update interval (default 1000, 10000 without a TTY)
+  --fail-on-errors              Exit with 3 when some URLs failed for good
+  --help                        Show this help
+
+Exit codes: 0 done or stopped by a budget (--max-pages, --max-bytes, --max-duration),
+1 failed, 2 bad usage, 3 some URLs failed (--fail-on-errors),
+130 interrupted (checkpoint saved, continue with "crawler resume")`;
+
+class UsageError extends Error {}
+
+function camelCase(flag) {
+  return flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Option name -> type, from the crawler's defaults ('any' when the default
+ * says nothing: null / undefined)
+ */
+function crawlerOptionTypes() {
+  const { config } = new DistributedWebCrawler({ logging: false });
+  const types = {};
+  for (const [name, value] of Object.entries(config)) {
+    if (Array.isArray(value)) types[name] = 'array';
+    else if (value === null || value === undefined) types[name] = 'any';
+    else types[name] = typeof value;
+  }
+  return types;
+}
+
+/**
+ * Convert a flag value to the option's type
+ */
+function coerce(name, type, raw) {
+  switch (type) {
+    case 'number': {
+      const number = Number(raw);
+      if (raw === '' || !Number.isFinite(number)) throw new UsageError(`--${name} expects a number, got "${raw}"`);
+      return number;
+    }
+    case 'boolean':
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      return raw; // e.g. --incremental=<path>
+    case 'array':
+      if (raw.trim().startsWith('[')) return parseJson(name, raw);
+      return raw.split(',').map((item) => item.trim()).filter(Boolean);
+    case 'object':
+      return parseJson(name, raw);
+    case 'any':
+      return /^\s*[[{"]/.test(raw) ? parseJson(name, raw) : raw;
+    default:
+      return raw;
+  }
+}
+
+function parseJson(name, raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new UsageError(`--${name} expects JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Split argv into { command, args, options, crawlerOptions }
+ */
+function parseArgs(argv, optionTypes = crawlerOptionTypes()) {
+  const positional = [];
+  const options = {};
+  const crawlerOptions = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith('--')) {
+      positional.push(token);
+      continue;
+    }
+
+    let [flag, value] = token.slice(2).split(/=(.*)/s);
+    let negated = false;
+    let name = camelCase(flag);
+    if (!(name in CLI_OPTIONS) && !(name in optionTypes) && flag.startsWith('no-')) {
+      negated = true;
+      name = camelCase(flag.slice(3));
+    }
+
+    const type = CLI_OPTIONS[name] ?? optionTypes[name];
+    if (!type) throw new UsageError(`Unknown option --${flag}`);
+
+    if (negated) {
+      if (type !== 'boolean') throw new UsageError(`--no-${flag.slice(3)} only applies to on/off options`);
+      value = false;
+    } else if (type === 'boolean') {
+      // A boolean takes a following value only when it is true or false;
+      // anything else needs "=" (--incremental=./prev)
+      if (value === undefined && ['true', 'false'].includes(argv[i + 1])) value = argv[++i];
+      value = value === undefined ? true : coerce(flag, type, value);
+    } else {
+      if (value === undefined) {
+        if (i + 1 >= argv.length) throw new UsageError(`--${flag} needs a value`);
+        value = argv[++i];
+      }
+      value = coerce(flag, type, value);
+    }
+
+    if (name in CLI_OPTIONS) options[name] = value;
+    else crawlerOptions[name] = value;
+  }
+
+  return { command: positional[0], args: positional.slice(1), options, crawlerOptions };
+}
+
+/**
+ * Crawler options from --config (.json or a .js module exporting an object)
+ */
+function loadConfigFile(file) {
+  const filePath = path.resolve(file);
+  try {
+    return filePath.endsWith('.js') ? require(filePath) : JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read config ${file}: ${error.message}`);
+  }
+}
+
+function buildCrawler({ options, crawlerOptions }) {
+  const config = { ...(options.config ? loadConfigFile(options.config) : {}), ...crawlerOptions };
+  if (options.frontier) config.frontier = new FileFrontier({ dir: options.frontier });
+  if (options.quiet) config.logging = false;
+  try {
+    return new DistributedWebCrawler(config);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Runs in a storage directory: { runId, results, bytes, segments, checkpoint }
+ */
+function listRuns(storageDir) {
+  if (!fs.existsSync(storageDir)) return [];
+  const runIds = new Set(ResultStore.listRuns(storageDir));
+  for (const file of fs.readdirSync(storageDir)) {
+    const match = file.match(/^checkpoint-(.+)\.json$/);
+    if (match) runIds.add(match[1]);
+  }
+
+  return Array.from(runIds)
+    .sort()
+    .map((runId) => {
+      const manifest = new ResultStore({ dir: storageDir, runId }).readManifest();
+      const segments = ResultStore.listSegments(storageDir, runId);
+      let checkpoint = null;
+      try {
+        const state = JSON.parse(fs.readFileSync(path.join(storageDir, `checkpoint-${runId}.json`), 'utf8'));
+        checkpoint = { seedUrl: state.seedUrl, savedAt: state.savedAt, queued: state.queue.length, completed: Boolean(state.completed) };
+      } catch {
+        // No checkpoint (checkpointing off) or unreadable
+      }
+      return {
+        runId,
+        seedUrl: checkpoint?.seedUrl ?? null,
+        results: manifest ? manifest.totalRecords : null,
+        bytes: manifest ? manifest.totalBytes : null,
+        segments: segments.length,
+        status: !checkpoint ? 'unknown' : checkpoint.completed ? 'completed' : `interrupted (${checkpoint.queued} queued)`,
+      };
+    });
+}
+
+/**
+ * Load the run named by --run (default: the newest one)
+ */
+async function loadRun(crawler, runId) {
+  const storageDir = crawler.config.storageDir;
+  if (!runId) {
+    const runs = listRuns(storageDir);
+    if (runs.length === 0) throw new UsageError(`No runs in ${storageDir}`);
+    runId = runs[runs.length - 1].runId;
+  }
+  try {
+    return await crawler.loadRun(runId);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Live progress on stderr: rewritten in place on a terminal, one line per
+ * interval otherwise (logs, cron mail)
+ */
+function startProgress(crawler, { interval, stream = process.stderr }) {
+  const tty = Boolean(stream.isTTY);
+  const render = () => {
+    const line =
+      `[PROGRESS] ${crawler.resultCount} crawled | ${crawler.getQueueSize()} queued | ` +
+      `${crawler.getPagesPerSecond()} pages/s | ${crawler.deadLetterCount} errors | ${crawler.retryCount} retries`;
+    stream.write(tty ? `\r\x1b[K${line}` : `${line}\n`);
+  };
+  const timer = setInterval(render, interval ?? (tty ? 1000 : 10000));
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    if (!crawler.seedUrl) return; // Never started (bad seed)
+    render();
+    if (tty) stream.write('\n');
+  };
+}
+
+function printSummary(out, crawler, json) {
+  const stats = crawler.getStats();
+  if (json) {
+    out(JSON.stringify(stats, null, 2));
+    return;
+  }
+  out(`Run:          ${crawler.getRunId()}`);
+  out(`Crawled:      ${stats.totalCrawled} pages in ${stats.duration} (${stats.pagesPerSecond} pages/s)`);
+  out(`Discovered:   ${stats.totalDiscovered} URLs`);
+  out(`Failed:       ${stats.deadLetters} (${stats.retries} retries)`);
+  if (stats.changes) {
+    out(`Changes:      ${Object.entries(stats.changes).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+  }
+  if (stats.stopReason) {
+    out(`Stopped:      ${stats.stopReason}, ${stats.remainingUrls} URLs left (crawler resume ${crawler.getRunId()})`);
+  }
+  out(`Stored in:    ${crawler.config.storageDir}`);
+}
+
+async function runCrawl(parsed, io) {
+  const { command, args, options } = parsed;
+  const target = args[0];
+  if (!target) throw new UsageError(`${command} needs a ${command === 'crawl' ? 'seed URL' : 'checkpoint file or run id'}`);
+  if (args.length > 1) {
+    // Usually the value of an on/off option written without "="
+    throw new UsageError(`Unexpected argument "${args[1]}" (on/off options take other values as --option=<value>, e.g. --incremental=./prev)`);
+  }
+
+  const crawler = buildCrawler(parsed);
+  // Failures are counted as dead letters; an 'error' event without a listener would throw
+  crawler.on('error', () => {});
+  let checkpointPath = target;
+  if (command === 'resume' && !fs.existsSync(target)) {
+    checkpointPath = path.join(crawler.config.storageDir, `checkpoint-${target}.json`);
+  }
+
+  // Ctrl-C / kill: stop gracefully (in-flight pages finish, results and a
+  // checkpoint are saved); a second signal exits at once
+  let interrupted = false;
+  const interrupt = (signal) => {
+    if (interrupted || !crawler.isRunning) {
+      const saved = crawler.startTime ? crawler.saveCheckpoint() : null;
+      io.err(`\nInterrupted by ${signal}.${saved ? ` Continue with: crawler resume ${saved}` : ''}`);
+      process.exit(EXIT.INTERRUPTED);
+    }
+    interrupted = true;
+    io.err(`\n${signal}: finishing in-flight requests (repeat to quit at once)`);
+    crawler.stop('interrupted');
+  };
+  const signals = io.handleSignals === false ? [] : ['SIGINT', 'SIGTERM'];
+  signals.forEach((signal) => process.on(signal, interrupt));
+
+  const stopProgress = options.progress === false ? () => {} : startProgress(crawler, { interval: options.progressInterval, stream: io.progressStream });
+  try {
+    if (command === 'crawl') {
+      await crawler.crawl(target);
+    } else {
+      await crawler.resume(checkpointPath);
+    }
+  } catch (error) {
+    // Bad seeds and unreadable checkpoints are usage errors; the rest failed
+    if (/^(Invalid seed URL|Cannot read checkpoint)/.test(error.message)) throw new UsageError(error.message);
+    throw error;
+  } finally {
+    stopProgress();
+    signals.forEach((signal) => process.removeListener(signal, interrupt));
+  }
+
+  printSummary(io.out, crawler, options.json);
+  if (crawler.stopReason === 'interrupted') return EXIT.INTERRUPTED;
+  return options.failOnErrors && crawler.deadLetterCount > 0 ? EXIT.PARTIAL : EXIT.OK;
+}
+
+function runList(parsed, io) {
+  const crawler = buildCrawler(parsed);
+  const runs = listRuns(crawler.config.storageDir);
+  if (parsed.options.json) {
+    io.out(JSON.stringify(runs, null, 2));
+  } else if (runs.length === 0) {
+    io.out(`No runs in ${crawler.config.storageDir}`);
+  } else {
+    for (const run of runs) {
+      const results = run.results === null ? '?' : run.results;
+      io.out(`${run.runId}  ${String(results).padStart(7)} results  ${run.status.padEnd(12)}  ${run.seedUrl ?? ''}`.trimEnd());
+    }
+  }
+  return EXIT.OK;
+}
+
+async function runStats(parsed, io) {
+  const crawler = await loadRun(buildCrawler(parsed), parsed.options.run);
+  io.out(JSON.stringify({ runId: crawler.getRunId(), seedUrl: crawler.seedUrl, ...crawler.getStats() }, null, 2));
+  return EXIT.OK;
+}
+
+async function runSearch(parsed, io) {
+  const keyword = parsed.args.join(' ');
+  if (!keyword) throw new UsageError('search needs a keyword');
+
+  const crawler = await loadRun(buildCrawler(parsed), parsed.options.run);
+  const index = crawler.getSearchIndex();
+  if (index.size > 0) return printHits(index, keyword, parsed.options, io);
+
+  const matches = crawler.search(keyword);
+  if (parsed.options.json) {
+    io.out(JSON.stringify(matches.map(({ url, title, status }) => ({ url, title, status })), null, 2));
+  } else {
+    matches.forEach((result) => io.out(`${result.status}  ${result.url}${result.title ? `  ${result.title.trim()}` : ''}`));
+    io.err(`${matches.length} page(s) match "${keyword}"`);
+  }
+  return EXIT.OK;
+}
+
+function printHits(index, query, options, io) {
+  const { limit, depth, status, contentType } = options;
+  const hits = index.search(query, { limit, depth, status, contentType });
+  if (options.json) {
+    io.out(JSON.stringify(hits, null, 2));
+  } else {
+    hits.forEach((hit) => {
+      io.out(`${hit.score.toFixed(2).padStart(6)}  ${hit.status}  ${hit.url}${hit.title ? `  ${hit.title.trim()}` : ''}`);
+      if (hit.snippet) io.out(`        ${hit.snippet}`);
+    });
+    io.err(`${hits.length} page(s) match "${query}" (${index.size} indexed)`);
+  }
+  return EXIT.OK;
+}
+
+/**
+ * What an export file holds, from --type or the extension
+ */
+function exportType(file, type) {
+  if (type) {
+    if (!['results', 'graph', 'audit'].includes(type)) throw new UsageError(`Unknown export type: ${type}`);
+    return type;
+  }
+  if (/\.json$/i.test(file)) return 'results';
+  try {
+    LinkGraph.formatFor(file);
+    return 'graph';
+  } catch {
+    // Not a link graph format
+  }
+  try {
+    LinkAudit.formatFor(file);
+    return 'audit';
+  } catch {
+    throw new UsageError(`Cannot tell what to export to ${file}; use --type results|graph|audit`);
+  }
+}
+
+async function runExport(parsed, io) {
+  const file = parsed.args[0];
+  if (!file) throw new UsageError('export needs an output file');
+  const type = exportType(file, parsed.options.type);
+
+  const crawler = await loadRun(buildCrawler(parsed), parsed.options.run);
+  let written;
+  try {
+    if (type === 'results') written = crawler.exportToJSON(file);
+    else if (type === 'graph') written = crawler.exportLinkGraph(file);
+    else written = crawler.exportAuditReport(file);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  io.out(written);
+  return EXIT.OK;
+}
+
+const COMMANDS = {
+  crawl: runCrawl,
+  resume: runCrawl,
+  runs: runList,
+  stats: runStats,
+  search: runSearch,
+  export: runExport,
+};
+
+/**
+ * Run the CLI; resolves to the exit code. io: { out, err, progressStream,
+ * handleSignals } for embedding and tests.
+ */
+async function main(argv, io = {}) {
+  io = {
+    out: (line) => process.stdout.write(line + '\n'),
+    err: (line) => process.stderr.write(line + '\n'),
+    progressStream: process.stderr,
+    ...io,
+  };
+
+  try {
+    const parsed = parseArgs(argv);
+    if (parsed.options.help || !parsed.command) {
+      io.out(USAGE);
+      return parsed.command || parsed.options.help ? EXIT.OK : EXIT.USAGE;
+    }
+    const command = COMMANDS[parsed.command];
+    if (!command) throw new UsageError(`Unknown command: ${parsed.command}`);
+    return await command(parsed, io);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.err(`Error: ${error.message}\nRun "crawler --help" for usage.`);
+      return EXIT.USAGE;
+    }
+    io.err(`Error: ${error.message}`);
+    return EXIT.FAILED;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs, listRuns, EXIT };
@@ -1,29 +1,63 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { EventEmitter } = require('events');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { RobotsTxt } = require('./robots');
+const { MemoryFrontier } = require('./frontier');
+const { resolveScorer } = require('./scoring');
+const { resolveExtractors } = require('./extractors');
+const { extractLinks } = require('./links');
+const { LinkGraph } = require('./linkgraph');
+const { LinkAudit } = require('./audit');
+const { decodeSitemap, parseSitemap } = require('./sitemap');
+const { UrlCanonicalizer } = require('./canonical');
+const { CrawlScope } = require('./scope');
+const { HostScheduler } = require('./scheduler');
+const { RetryPolicy } = require('./retry');
+const { PreviousCrawl, CHANGE_STATUSES } = require('./incremental');
+const { ResultStore } = require('./storage');
+const { WarcWriter, WarcReader } = require('./warc');
+const { Session } = require('./session');
+const { resolveRenderers } = require('./renderers');
+const { DEFAULT_CONTENT_HANDLERS, resolveContentHandlers, matchesType, normalizeLinks } = require('./handlers');
+const { Network } = require('./network');
+const { SearchIndex, extractPageText } = require('./search');
+const { CrawlMetrics, MetricsServer } = require('./metrics');
+const { DuplicateDetector, fingerprint } = require('./duplicates');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
 
 /**
  * PART 1: DISTRIBUTED WEB CRAWLER
  * 
  * ASSUMPTIONS:
  * 1. Single-threaded JS execution model - uses queuing and async/await for concurrency
- * 2. URL deduplication via in-memory Set (for distributed, would use Redis/shared store)
- * 3. Same-origin crawling only to prevent infinite loops
- * 4. Respects basic robots.txt concept (configurable delays between requests)
+ * 2. URL queue and deduplication live in a pluggable frontier (in-memory by default,
+ *    FileFrontier lets several processes on one machine share a crawl)
+ * 3. Same-origin crawling by default; scope rules (subdomains, include/exclude patterns,
+ *    trusted external hosts) widen or narrow it, and every rejection is recorded
+ * 4. Honors robots.txt Allow/Disallow rules and Crawl-delay per origin
  * 5. Max depth limit to control crawl scope
  * 6. Request timeout to prevent hanging on slow servers
  * 
  * LIMITATIONS:
- * 1. No JavaScript execution - cannot crawl SPAs or JS-heavy sites
- * 2. No authentication handling
- * 3. No cookie/session management
- * 4. Memory-based deduplication doesn't scale across multiple machines
- * 5. No persistent state between runs
- * 6. Naive URL extraction - doesn't handle all edge cases (data URLs, fragments, etc.)
- * 7. No retry logic for failed requests
- * 8. Linear processing of queue items
+ * 1. JavaScript runs only for URLs given to a headless browser renderer (renderRules);
+ *    everything else is server-rendered HTML
+ * 2. Authentication is basic / bearer / custom headers or a form login run before
+ *    the crawl; credentials are redacted from results, checkpoints, archives and logs
+ * 3. One cookie jar per crawl; logout URLs are never followed
+ * 4. Shared frontier is file-based, so it spans processes but not machines
+ * 5. Persistent state is periodic JSON checkpoints (see resume()) plus results streamed
+ *    to rotating JSONL segments with a manifest
+ * 6. URLs are canonicalized (fragments, query order, tracking params, trailing slashes)
+ *    for deduplication, but fetched as linked; <link rel="canonical"> aliases are recorded
+ * 7. Retries are status-aware (network/timeout/5xx/429 retried, DNS and 4xx not);
+ *    URLs that fail for good go to a dead-letter JSONL that can be replayed
+ * 8. Incremental runs send conditional requests based on a previous run's results
+ *    and label each result new / changed / unchanged / gone
+ * 9. Linear processing of queue items
  * 
  * SCALABILITY DESIGN:
  * For distributed crawling:
@@ -38,9 +72,7 @@ const path = require('path');
 class DistributedWebCrawler extends EventEmitter {
   constructor(config = {}) {
     super();
-    this.visitedUrls = new Set();
     this.discoveredUrls = new Set();
-    this.urlQueue = [];
     this.config = {
       maxDepth: config.maxDepth ?? 3,
       maxConcurrency: config.maxConcurrency ?? 5,
@@ -50,12 +82,109 @@ class DistributedWebCrawler extends EventEmitter {
       storageDir: config.storageDir ?? './crawl-storage',
       maxRetries: config.maxRetries ?? 3, // Retry failed requests
       retryDelay: config.retryDelay ?? 1000, // Base retry delay (ms)
+      maxRetryDelay: config.maxRetryDelay ?? 30000, // Retry delay cap (ms), Retry-After may exceed it
+      maxRetryAfter: config.maxRetryAfter ?? 300000, // Longest Retry-After waited for (ms); longer fails the URL
       connectTimeout: config.connectTimeout ?? 5000, // Connection timeout
       slowHostThreshold: config.slowHostThreshold ?? 15000, // Mark host as slow if response > 15s
+      respectRobotsTxt: config.respectRobotsTxt ?? true, // Honor robots.txt rules and Crawl-delay
+      checkpointInterval: config.checkpointInterval ?? 30000, // Save crawl state every N ms (0 = off)
+      idlePollInterval: config.idlePollInterval ?? 100, // Wait for in-flight pages when queue is empty
+      strategy: config.strategy ?? 'bfs', // Queue order: 'bfs', 'dfs' or 'priority'
+      scorer: config.scorer ?? 'shallow-paths', // Priority scorer: function or built-in name
+      useSitemaps: config.useSitemaps ?? true, // Seed the queue from robots.txt / sitemap.xml
+      maxSitemaps: config.maxSitemaps ?? 50, // Max sitemap files fetched (indexes included)
+      canonicalizeUrls: config.canonicalizeUrls ?? true, // Normalize URLs before dedup
+      trackingParams: config.trackingParams, // Query params to drop (default: utm_*, fbclid, ...)
+      stripTrailingSlash: config.stripTrailingSlash ?? true, // Treat /page/ and /page as one URL
+      scope: config.scope ?? {}, // { subdomains, include, exclude, allowedHosts } - see scope.js
+      maxConnectionsPerHost: config.maxConnectionsPerHost ?? 2, // Concurrent requests per host
+      minHostInterval: config.minHostInterval ?? 0, // Min ms between request starts per host
+      backoffBase: config.backoffBase ?? 1000, // First backoff after 429/503 (ms)
+      maxBackoff: config.maxBackoff ?? 60000, // Backoff cap (ms)
+      maxDeferredUrls: config.maxDeferredUrls ?? 1000, // URLs held back while their host is busy
+      incremental: config.incremental ?? false, // Previous results (file or dir), true = storageDir
+      storeResults: config.storeResults ?? true, // Stream results to JSONL segments in storageDir
+      maxSegmentBytes: config.maxSegmentBytes ?? 10 * 1024 * 1024, // Rotate segments at this size
+      maxSegmentRecords: config.maxSegmentRecords ?? 0, // ...or this many results (0 = no limit)
+      compressSegments: config.compressSegments ?? false, // Gzip closed segments
+      keepResultsInMemory: config.keepResultsInMemory ?? true, // false: results live only on disk
+      exportJson: config.exportJson ?? true, // Write crawl-results.json when the crawl ends
+      archiveWarc: config.archiveWarc ?? false, // Write every request/response to WARC files
+      maxWarcBytes: config.maxWarcBytes ?? 100 * 1024 * 1024, // Start a new WARC file at this size
+      compressWarc: config.compressWarc ?? true, // Gzip WARC records (.warc.gz)
+      extractors: config.extractors ?? [], // Built-in names or { name, extract } run on each HTML page
+      followResourceLinks: config.followResourceLinks ?? false, // Also queue img/script/CSS/form URLs
+      respectNofollow: config.respectNofollow ?? false, // Do not queue rel="nofollow" links
+      maxRedirects: config.maxRedirects ?? 5, // Redirect hops followed per page
+      cookies: config.cookies ?? true, // Keep a per-crawl cookie jar (Set-Cookie)
+      auth: config.auth ?? null, // Credentials and login step - see session.js
+      renderer: config.renderer ?? 'http', // Default renderer: 'http', 'browser' or { name, render }
+      renderRules: config.renderRules ?? [], // [{ pattern, renderer }] - first match picks the renderer
+      browser: config.browser ?? {}, // Headless browser options - see renderers.js
+      logging: config.logging ?? true, // Print [ERROR], [RETRY], ... lines to stdout
+      indexText: config.indexText ?? false, // Keep page text on results and build a full-text index
+      maxIndexedText: config.maxIndexedText ?? 100000, // Characters of text kept per page
+      metricsPort: config.metricsPort ?? null, // Serve /metrics and /status while crawling (0 = any port)
+      metricsHost: config.metricsHost ?? '127.0.0.1', // Interface the metrics endpoint listens on
+      detectDuplicates: config.detectDuplicates ?? false, // Fingerprint HTML pages and mark duplicates
+      duplicateSimilarity: config.duplicateSimilarity ?? 0.9, // Min text similarity (0-1) of near duplicates
+      followDuplicateLinks: config.followDuplicateLinks ?? true, // false: do not queue links of duplicates
+      maxPages: config.maxPages ?? 0, // Stop after this many pages (0 = no limit)
+      maxBytes: config.maxBytes ?? 0, // Stop once this many response bytes were received (0 = no limit)
+      maxDuration: config.maxDuration ?? 0, // Stop after this many ms of crawling (0 = no limit)
+      maxPagesPerHost: config.maxPagesPerHost ?? 0, // Skip a host's URLs beyond this many pages (0 = no limit)
+      contentHandlers: config.contentHandlers ?? DEFAULT_CONTENT_HANDLERS, // Parsers for non-HTML content - see handlers.js
+      maxBodySize: config.maxBodySize ?? 10 * 1024 * 1024, // Larger response bodies are not downloaded (0 = no limit)
+      proxy: config.proxy ?? null, // Proxy URL or pool (http://, https://, socks5://) - see network.js
+      proxyRules: config.proxyRules ?? [], // [{ hosts, proxy }] - first match; proxy 'direct' bypasses
+      proxyRotation: config.proxyRotation ?? 'request', // Pool rotation: 'request' (round robin) or 'host' (sticky)
+      tls: config.tls ?? {}, // { ca, cert, key, pfx, passphrase, insecureSkipVerify } - see network.js
+      dnsOverrides: config.dnsOverrides ?? {}, // { hostname: ip } used instead of DNS
+      dnsCacheTtl: config.dnsCacheTtl ?? 60000, // Reuse DNS answers this long (ms, 0 = no cache)
     };
+    this.canonicalizer = new UrlCanonicalizer({
+      trackingParams: this.config.trackingParams,
+      stripTrailingSlash: this.config.stripTrailingSlash,
+    });
+    // Queue + dedup backend (shared backends let several processes crawl together)
+    this.frontier = config.frontier ?? new MemoryFrontier();
+    this.frontier.setStrategy(this.config.strategy);
+    this.scorer = this.config.strategy === 'priority' ? resolveScorer(this.config.scorer) : null;
+    this.extractors = resolveExtractors(this.config.extractors);
+    this.contentHandlers = resolveContentHandlers(this.config.contentHandlers);
+    // Cookie jar, credentials and redaction of secrets
+    this.session = new Session(this.config.auth, { cookies: this.config.cookies });
+    // Proxies, TLS options and host resolution for every request
+    this.network = new Network(
+      {
+        proxy: this.config.proxy,
+        proxyRules: this.config.proxyRules,
+        proxyRotation: this.config.proxyRotation,
+        tls: this.config.tls,
+        dnsOverrides: this.config.dnsOverrides,
+        dnsCacheTtl: this.config.dnsCacheTtl,
+        connectTimeout: this.config.timeout,
+      },
+      { log: (...parts) => this.log(...parts) }
+    );
+    this.session.addSecrets(this.network.secrets());
+    // Renderers other than the built-in HTTP fetch (e.g. a headless browser)
+    this.renderers = resolveRenderers({
+      renderer: this.config.renderer,
+      renderRules: this.config.renderRules,
+      browser: this.config.browser,
+    });
     this.results = [];
+    this.resultCount = 0;
+    this.changeCounts = {}; // changeStatus -> results (incremental crawls)
+    this.resultStore = null; // ResultStore for the current run
+    this.warcWriter = null; // WarcWriter for the current run (opened on first fetch)
     this.isRunning = false;
     this.startTime = null;
+    this.runId = null; // Set when a run starts, restored with its checkpoint
+    this.endTime = null; // When the crawl finished (or the loaded run was last saved)
+    this.seedUrl = null;
+    this.checkpointTimer = null;
     this.storageStats = {
       fileCount: 0,
       totalSize: 0,
@@ -64,29 +193,78 @@ class DistributedWebCrawler extends EventEmitter {
       currentSize: 0,
     };
     this.domainsCrawled = new Set();
-    this.slowHosts = new Set(); // Track slow hosts for adaptive delays
-    this.hostDelays = new Map(); // Per-host delay tracking
+    // Per-host pacing: connection caps, Crawl-delay, 429/503 backoff, slow hosts
+    this.scheduler = new HostScheduler({
+      maxConnectionsPerHost: this.config.maxConnectionsPerHost,
+      minHostInterval: this.config.minHostInterval,
+      backoffBase: this.config.backoffBase,
+      maxBackoff: this.config.maxBackoff,
+      slowHostThreshold: this.config.slowHostThreshold,
+    });
+    this.scheduler.on('host-slow', (event) => {
+      this.log(`[MARKED SLOW] ${event.host} (${event.responseTime}ms)`);
+      this.emit('host-slow', event);
+    });
+    this.scheduler.on('host-backoff', (event) => {
+      this.log(`[BACKOFF] ${event.host} returned ${event.status} - pausing ${event.delay}ms`);
+      this.emit('host-backoff', event);
+    });
+    this.scheduler.on('host-recovered', (event) => {
+      this.log(`[RECOVERED] ${event.host} back to normal pacing`);
+      this.emit('host-recovered', event);
+    });
+    this.deferred = new Map(); // host -> claimed items waiting for that host to be ready
+    this.deferredCount = 0;
+    this.retryPolicy = new RetryPolicy({
+      maxRetries: this.config.maxRetries,
+      baseDelay: this.config.retryDelay,
+      maxDelay: this.config.maxRetryDelay,
+      maxRetryAfter: this.config.maxRetryAfter,
+    });
+    this.retries = []; // { item, retryAt } - claimed items waiting for another attempt
+    this.retryCount = 0;
+    this.deadLetterCount = 0;
+    this.robotsCache = new Map(); // origin -> Promise<RobotsTxt>
+    this.robotsDisallowed = []; // URLs skipped because of robots.txt
+    this.sitemapEntries = new Map(); // url -> { lastmod, changefreq, priority, sitemapUrl }
+    this.canonicalAliases = new Map(); // fetched url -> url named by <link rel="canonical">
+    this.scope = null; // CrawlScope for the current seed
+    this.scopeRejections = new Map(); // url -> { reason, parentUrl, depth }
+    this.previousCrawl = null; // PreviousCrawl when crawling incrementally
+    this.textIndex = this.config.indexText ? new SearchIndex() : null; // Full-text index of this run
+    this.metrics = this.createMetrics(); // Counters and histograms of the current run
+    this.metricsServer = null; // MetricsServer while the endpoint is up
+    this.duplicates = new DuplicateDetector({ similarity: this.config.duplicateSimilarity });
+    this.duplicateCount = 0;
+    this.pagesStarted = 0; // Pages fetched or being fetched (retries not counted), for maxPages
+    this.bytesFetched = 0; // Response bytes received, for maxBytes
+    this.hostPageCounts = new Map(); // host -> pages started, for maxPagesPerHost
+    this.stopReason = null; // Why the crawl ended early: 'max-pages', 'aborted', ...
+    this.completed = null; // Whether the last run left nothing queued
+    this.remainingUrls = null; // URLs the last run left queued or unfinished
+    this.runPromise = null; // Settles when the worker pool is done
   }
 
   /**
-   * Start crawling from seed URL
+   * Start crawling from seed URL. options.signal (an AbortSignal) stops the
+   * crawl like stop() when aborted.
    */
-  async crawl(seedUrl) {
-    this.visitedUrls.clear();
-    this.discoveredUrls.clear();
-    this.urlQueue = [];
-    this.results = [];
+  async crawl(seedUrl, options = {}) {
+    await this.resetState();
     this.isRunning = true;
     this.startTime = Date.now();
-    this.domainsCrawled.clear();
+    this.runId = this.createRunId();
+    this.watchSignal(options.signal);
 
     // Initialize storage directory
     this.initializeStorage();
 
     // Validate and normalize seed URL
+    let seedFetchUrl;
     try {
-      const urlObj = new URL(seedUrl);
-      this.urlQueue.push({ url: urlObj.href, depth: 0 });
+      const urlObj = new URL(this.canonicalize(seedUrl));
+      this.seedUrl = urlObj.href;
+      seedFetchUrl = withoutFragment(seedUrl);
       this.discoveredUrls.add(urlObj.href);
       const domain = urlObj.hostname;
       this.domainsCrawled.add(domain);
@@ -94,18 +272,320 @@ class DistributedWebCrawler extends EventEmitter {
       throw new Error(`Invalid seed URL: ${seedUrl}`);
     }
 
+    this.scope = new CrawlScope(this.config.scope, this.seedUrl);
+    this.loadPreviousCrawl();
+    await this.login();
+
+    // With a shared frontier the seed may already be queued by another process
+    await this.enqueue([this.createQueueItem({ url: this.seedUrl, fetchUrl: seedFetchUrl, depth: 0, source: 'seed' })]);
+
+    // Sitemap URLs are extra seeds: they reach orphan pages no link points to
+    if (this.config.useSitemaps) {
+      await this.discoverSitemaps(this.seedUrl);
+    }
+
+    return this.runWorkers();
+  }
+
+  /**
+   * Resume an interrupted crawl from a checkpoint file (options as for crawl())
+   */
+  async resume(checkpointPath, options = {}) {
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read checkpoint ${checkpointPath}: ${error.message}`);
+    }
+
+    await this.resetState();
+    this.isRunning = true;
+    this.watchSignal(options.signal);
+    this.initializeStorage();
+    await this.restoreCheckpoint(checkpoint);
+    this.scope = new CrawlScope(this.config.scope, this.seedUrl);
+    this.loadPreviousCrawl();
+    await this.login();
+
+    // Results stored after the last checkpoint must not be fetched again
+    await this.loadStoredResults();
+
+    this.log(
+      `[RESUME] ${checkpointPath}: ${this.resultCount} done, ${this.frontier.size()} queued`
+    );
+
+    return this.runWorkers();
+  }
+
+  /**
+   * Clear all per-crawl state
+   */
+  async resetState() {
+    // Shared frontiers belong to every process in the crawl and are never cleared here
+    if (!this.frontier.shared) {
+      await this.frontier.reset();
+    }
+    this.discoveredUrls.clear();
+    this.results = [];
+    this.resultCount = 0;
+    this.changeCounts = {};
+    this.resultStore = null;
+    this.warcWriter = null;
+    this.domainsCrawled.clear();
+    this.robotsCache.clear();
+    this.robotsDisallowed = [];
+    this.deferred.clear();
+    this.deferredCount = 0;
+    this.retries = [];
+    this.retryCount = 0;
+    this.deadLetterCount = 0;
+    this.sitemapEntries.clear();
+    this.canonicalAliases.clear();
+    this.scopeRejections.clear();
+    this.previousCrawl = null;
+    this.textIndex = this.config.indexText ? new SearchIndex() : null;
+    this.metrics = this.createMetrics();
+    this.duplicates = new DuplicateDetector({ similarity: this.config.duplicateSimilarity });
+    this.duplicateCount = 0;
+    this.bytesFetched = 0;
+    this.hostPageCounts.clear();
+    this.stopReason = null;
+    this.completed = null;
+    this.remainingUrls = null;
+    this.runPromise = null;
+    this.session.reset();
+    this.runId = null;
+    this.endTime = null;
+    this.seedUrl = null;
+  }
+
+  /**
+   * Load the previous run's results when crawling incrementally
+   */
+  loadPreviousCrawl() {
+    const source = this.config.incremental === true ? this.config.storageDir : this.config.incremental;
+    if (!source) return;
+
+    if (!fs.existsSync(source)) {
+      // First run: nothing to compare against, every result is new
+      this.previousCrawl = new PreviousCrawl();
+      this.log(`[INCREMENTAL] No previous results at ${source}`);
+      return;
+    }
+
+    try {
+      this.previousCrawl = PreviousCrawl.load(source, { excludeRunId: this.getRunId() });
+    } catch (error) {
+      throw new Error(`Cannot read previous results ${source}: ${error.message}`);
+    }
+    this.log(`[INCREMENTAL] ${this.previousCrawl.size} previous result(s) from ${source}`);
+  }
+
+  /**
+   * Load a finished or interrupted run for inspection (stats, search,
+   * export) without crawling: its checkpoint when there is one, and the
+   * results stored in its segments
+   */
+  async loadRun(runId) {
+    await this.resetState();
+    const checkpointPath = path.join(this.config.storageDir, `checkpoint-${runId}.json`);
+    if (fs.existsSync(checkpointPath)) {
+      const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+      await this.restoreCheckpoint(checkpoint);
+      this.endTime = Date.parse(checkpoint.savedAt) || null;
+      this.completed = checkpoint.completed ?? null;
+      this.stopReason = checkpoint.stopReason ?? null;
+      this.remainingUrls = checkpoint.queue.length;
+    } else {
+      // Run ids are start times: 2024-01-01T10-00-00-123-9f3a1c (older runs:
+      // 2024-01-01T10-00-00)
+      const pattern = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3})-[0-9a-f]+)?$/;
+      const [, date, hours, minutes, seconds, millis = '000'] = runId.match(pattern) || [];
+      if (!date) throw new Error(`No checkpoint or valid run id: ${runId}`);
+      this.startTime = Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+      this.runId = runId;
+      const manifest = new ResultStore({ dir: this.config.storageDir, runId }).readManifest();
+      this.endTime = Date.parse(manifest?.updatedAt) || null;
+    }
+    if (this.getRunId() !== runId) {
+      throw new Error(`Checkpoint ${checkpointPath} belongs to run ${this.getRunId()}`);
+    }
+    await this.loadStoredResults();
+    return this;
+  }
+
+  /**
+   * Run the configured login step (auth.form / auth.login) so the crawl
+   * starts with the session cookies it sets
+   */
+  async login() {
+    if (!this.session.needsLogin()) return;
+
+    const client = {
+      get: (url, options) => this.sessionRequest('get', url, options),
+      post: (url, data, options) => this.sessionRequest('post', url, { ...options, data }),
+      cookieJar: this.session.cookieJar,
+    };
+    let outcome;
+    try {
+      outcome = await this.session.login(client);
+    } catch (error) {
+      throw new Error(this.session.redact(`Login failed: ${error.message}`));
+    }
+    const cookies = this.session.cookieJar.size;
+    this.log(`[AUTH] Logged in${outcome.url ? ` at ${outcome.url}` : ''} (${cookies} cookie(s))`);
+    this.emit('login', { url: outcome.url, cookies });
+  }
+
+  /**
+   * One request of the login step, following redirects and keeping cookies.
+   * Resolves to { url, status, headers, body }.
+   */
+  async sessionRequest(method, url, { data, headers = {} } = {}) {
+    let currentUrl = url;
+    for (let hop = 0; ; hop++) {
+      const response = await axios.request({
+        ...this.network.route(currentUrl).options,
+        method,
+        url: currentUrl,
+        data,
+        timeout: this.config.timeout,
+        headers: { 'User-Agent': this.config.userAgent, ...this.sessionHeaders(currentUrl), ...headers },
+        responseType: 'text',
+        validateStatus: () => true,
+        maxRedirects: 0,
+      });
+      this.session.storeCookies(currentUrl, response.headers);
+
+      const location = REDIRECT_STATUSES.includes(response.status) ? response.headers['location'] : null;
+      if (!location || hop >= this.config.maxRedirects) {
+        return { url: currentUrl, status: response.status, headers: response.headers, body: String(response.data ?? '') };
+      }
+      currentUrl = new URL(location, currentUrl).href;
+      // 307/308 repeat the request as it was; the others continue with a GET
+      if (![307, 308].includes(response.status)) {
+        method = 'get';
+        data = undefined;
+        headers = {};
+      }
+    }
+  }
+
+  /**
+   * Cookie and credential headers for a request. Credentials go to the
+   * crawled site (or auth.hosts) only.
+   */
+  sessionHeaders(url) {
+    let isSiteUrl = true;
+    if (this.scope) {
+      try {
+        isSiteUrl = this.scope.isSiteUrl(new URL(url));
+      } catch {
+        isSiteUrl = false;
+      }
+    }
+    return this.session.headersFor(url, { isSiteUrl });
+  }
+
+  /**
+   * Run the worker pool until the queue drains or the crawl is stopped
+   */
+  runWorkers() {
+    this.runPromise = this.workUntilDone();
+    return this.runPromise;
+  }
+
+  /**
+   * Stop the crawl gracefully: no new pages are started, in-flight requests
+   * finish, results are flushed and a checkpoint is saved so the run can be
+   * resumed. Resolves to the (partial) results once the crawl has ended.
+   */
+  async stop(reason = 'stopped') {
+    if (!this.stopReason && this.isRunning) {
+      this.stopReason = reason;
+      this.log(`[STOP] ${reason} - finishing in-flight requests`);
+      this.emit('stopping', { reason });
+    }
+    this.isRunning = false;
+    return this.runPromise ? this.runPromise.catch(() => this.results) : this.results;
+  }
+
+  /**
+   * Stop when an AbortSignal fires (at once if it already has)
+   */
+  watchSignal(signal) {
+    if (!signal) return;
+    if (signal.aborted) {
+      this.stop('aborted');
+      return;
+    }
+    signal.addEventListener('abort', () => this.stop('aborted'), { once: true });
+  }
+
+  /**
+   * The maxPages / maxBytes limit a new page would exceed, or null
+   */
+  exhaustedBudget() {
+    if (this.config.maxPages && this.pagesStarted >= this.config.maxPages) return 'max-pages';
+    if (this.config.maxBytes && this.bytesFetched >= this.config.maxBytes) return 'max-bytes';
+    return null;
+  }
+
+  async workUntilDone() {
+    this.openResultStore();
+    this.startCheckpointTimer();
+    const ownsMetricsServer = this.config.metricsPort !== null && !this.metricsServer;
+    if (ownsMetricsServer) await this.startMetricsServer();
+    // Budgets cover the whole run, pages recorded before a resume included
+    this.pagesStarted = this.resultCount;
+    const durationTimer = this.config.maxDuration
+      ? setTimeout(() => this.stop('max-duration'), this.config.maxDuration)
+      : null;
+
     // Process queue with concurrency control
     const workers = [];
     for (let i = 0; i < this.config.maxConcurrency; i++) {
       workers.push(this.worker());
     }
 
-    await Promise.all(workers);
-    this.isRunning = false;
+    try {
+      await Promise.all(workers);
+      // Claimed but unstarted URLs (deferred, retrying, over budget) count as left
+      this.remainingUrls = await this.frontier.pendingCount();
+    } finally {
+      clearTimeout(durationTimer);
+      this.isRunning = false;
+      this.endTime = Date.now();
+      this.stopCheckpointTimer();
+      await this.frontier.close();
+      await this.closeRenderers();
+      this.network.close(); // Idle keep-alive sockets would keep the process alive
+      if (ownsMetricsServer) await this.stopMetricsServer();
+    }
+
+    // Previous URLs that a completed crawl never reached are gone (a stopped
+    // crawl may simply not have got to them)
+    if (this.previousCrawl && !this.stopReason && this.remainingUrls === 0) {
+      const reached = new Set(this.frontier.visitedList());
+      this.previousCrawl.goneRecords(reached).forEach((record) => this.addResult(record));
+    }
+
+    // Final checkpoint records whether anything is left to resume (a stopped
+    // crawl always gets one)
+    this.completed = this.remainingUrls === 0;
+    if (this.config.checkpointInterval || this.stopReason) {
+      this.saveCheckpoint({ completed: this.completed, stopReason: this.stopReason });
+    }
 
     // Finalize storage
     this.finalizeStorage();
 
+    this.emit('done', {
+      runId: this.getRunId(),
+      completed: this.completed,
+      stopReason: this.stopReason,
+      status: this.getStatus(),
+    });
     return this.results;
   }
 
@@ -113,311 +593,1541 @@ class DistributedWebCrawler extends EventEmitter {
    * Worker processes URLs from queue (simulates a distributed node)
    */
   async worker() {
-    while (this.isRunning && this.urlQueue.length > 0) {
-      const item = this.urlQueue.shift();
-      if (!item) break;
-
-      const { url, depth } = item;
-
-      // Skip if already visited (distributed crawl uses shared store)
-      if (this.visitedUrls.has(url)) continue;
-      if (depth > this.config.maxDepth) continue;
-
-      this.visitedUrls.add(url);
+    while (this.isRunning) {
+      const item = await this.nextReadyItem();
+      if (!item) {
+        // Nothing ready: the queue is empty or every queued host is busy.
+        // Deferred, retrying and in-flight URLs (here or elsewhere) count as pending.
+        if ((await this.frontier.pendingCount()) === 0) break;
+        await this.sleep(this.config.idlePollInterval);
+        continue;
+      }
 
-      try {
-        const result = await this.fetchAndParse(url, depth);
-        this.results.push(result);
-
-        // Queue discovered URLs
-        // In distributed system: publish to message queue instead
-        const baseUrl = new URL(url);
-        const foundUrls = result.foundUrls || [];
-        for (const discoveredUrl of foundUrls) {
-          if (
-            !this.visitedUrls.has(discoveredUrl) &&
-            this.isSameOrigin(discoveredUrl, baseUrl.origin)
-          ) {
-            this.urlQueue.push({ url: discoveredUrl, depth: depth + 1 });
-          }
+      // Budgets apply to new pages; retries finish what was started.
+      // A page not started stays claimed, so the checkpoint keeps it queued.
+      if (!item.attempt) {
+        const exhausted = this.exhaustedBudget();
+        if (exhausted) {
+          this.stop(exhausted);
+          break;
+        }
+        const host = new URL(item.url).host;
+        const hostPages = this.hostPageCounts.get(host) || 0;
+        if (this.config.maxPagesPerHost && hostPages >= this.config.maxPagesPerHost) {
+          this.skip(item.url, 'host-budget', { host });
+          await this.frontier.complete(item.url);
+          continue;
         }
+        this.pagesStarted++;
+        this.hostPageCounts.set(host, hostPages + 1);
+      }
 
-        // Respect crawl delay
-        await this.sleep(this.config.delayBetweenRequests);
-      } catch (error) {
-        // Log error but continue crawling
-        const errorMsg = error.code === 'ECONNABORTED' 
-          ? `timeout of ${this.config.timeout}ms exceeded`
-          : error.message;
-        
-        console.log(`[ERROR] Failed to crawl ${url}: ${errorMsg}`);
-        this.emit('error', { url, error, message: errorMsg });
-        
-        // Still respect delay before continuing to next URL
-        await this.sleep(this.config.delayBetweenRequests);
+      const retrying = await this.processItem(item);
+      if (!retrying) {
+        await this.frontier.complete(item.url);
       }
+
+      // Respect crawl delay
+      await this.sleep(this.config.delayBetweenRequests);
     }
   }
 
   /**
-   * Fetch URL content and extract links with retry logic
+   * Fetch one claimed URL and record the outcome.
+   * Returns true if the URL was scheduled for another attempt.
    */
-  async fetchAndParse(url, depth) {
-    let lastError = null;
-    const retries = this.config.maxRetries;
-    const domain = new URL(url).hostname;
-    
-    for (let attempt = 0; attempt <= retries; attempt++) {
-      try {
-        // Apply adaptive delay for slow hosts
-        if (this.slowHosts.has(domain)) {
-          const delay = this.hostDelays.get(domain) || this.config.slowHostThreshold;
-          console.log(`[SLOW HOST] ${domain} - waiting ${delay}ms before request`);
-          await this.sleep(delay);
-        }
+  async processItem(item) {
+    const { url, depth } = item;
+    const attempt = item.attempt ?? 0;
 
-        const startTime = Date.now();
-        
-        const response = await axios.get(url, {
-          timeout: this.config.timeout,
-          headers: { 
-            'User-Agent': this.config.userAgent,
-            'Accept-Encoding': 'gzip, deflate', // Enable compression
-            'Connection': 'keep-alive', // Connection pooling
-          },
-          validateStatus: () => true, // Accept all status codes
-          maxRedirects: 5, // Follow redirects
-        });
-
-        const responseTime = Date.now() - startTime;
-
-        // Mark as slow host if response time exceeds threshold
-        if (responseTime > this.config.slowHostThreshold) {
-          this.slowHosts.add(domain);
-          this.hostDelays.set(domain, Math.min(responseTime, 10000)); // Cap at 10s
-          console.log(`[MARKED SLOW] ${domain} (${responseTime}ms)`);
-        }
+    let page;
+    try {
+      // Validators from the previous run let unchanged pages answer 304
+      const headers = this.previousCrawl ? this.previousCrawl.conditionalHeaders(url) : {};
+      page = await this.fetchAndParse(item.fetchUrl ?? url, depth, { headers });
+    } catch (error) {
+      const failure = this.retryPolicy.classify({ error });
+      if (this.scheduleRetry(item, failure)) return true;
 
-        const contentType = response.headers['content-type'] || '';
-        const foundUrls = [];
-        let title = null;
-
-        // Only parse HTML content
-        if (contentType.includes('text/html')) {
-          const $ = cheerio.load(response.data);
-
-          // Extract page title
-          title = $('title').text() || null;
-
-          // Extract links from various sources
-          $('a[href]').each((_, el) => {
-            const href = $(el).attr('href');
-            if (href) {
-              try {
-                const absoluteUrl = new URL(href, url).href;
-                // Filter out fragments and non-http protocols
-                if (absoluteUrl.startsWith('http')) {
-                  foundUrls.push(absoluteUrl);
-                  this.discoveredUrls.add(absoluteUrl);
-                }
-              } catch {
-                // Skip invalid URLs
-              }
-            }
-          });
-
-          // Also check other link sources
-          $('link[href]').each((_, el) => {
-            const href = $(el).attr('href');
-            if (href) {
-              try {
-                const absoluteUrl = new URL(href, url).href;
-                if (absoluteUrl.startsWith('http')) {
-                  foundUrls.push(absoluteUrl);
-                  this.discoveredUrls.add(absoluteUrl);
-                }
-              } catch {
-                // Skip invalid URLs
-              }
-            }
-          });
-        }
+      // Log error but continue crawling
+      const errorMsg = error.code === 'ECONNABORTED'
+        ? `timeout of ${this.config.timeout}ms exceeded`
+        : this.session.redact(error.message);
 
-        return {
-          url,
-          depth,
-          title,
-          status: response.status,
-          contentType,
-          linksFound: foundUrls.length,
-          timestamp: new Date().toISOString(),
-          responseTime,
-          foundUrls, // Added for internal tracking
-        };
-      } catch (error) {
-        lastError = error;
-        
-        if (attempt < retries) {
-          // Calculate exponential backoff: 1s, 2s, 4s, etc.
-          const delayMs = this.config.retryDelay * Math.pow(2, attempt);
-          console.log(`[RETRY ${attempt + 1}/${retries}] ${url} - waiting ${delayMs}ms`);
-          await this.sleep(delayMs);
-        } else {
-          // All retries exhausted, throw error
-          throw error;
-        }
-      }
+      this.log(`[ERROR] Failed to crawl ${url}: ${errorMsg}`);
+      this.emit('error', { url, error, message: errorMsg });
+      this.deadLetter(item, failure, { error: errorMsg, code: error.code ?? null });
+      return false;
+    }
+
+    let { retryAfter, ...result } = page;
+    result.url = url; // The canonical URL; finalUrl is the one fetched
+    const failure = this.retryPolicy.classify({ status: result.status });
+    if (failure.retryable) {
+      if (this.scheduleRetry(item, failure, retryAfter)) return true;
+      // Out of retries: keep the last response as the result, and dead-letter the URL
+      this.deadLetter(item, failure, { status: result.status });
     }
-    
-    throw lastError;
+    if (attempt > 0) result.attempts = attempt + 1;
+    if (this.previousCrawl) result = this.previousCrawl.compare(result);
+
+    try {
+      await this.recordPage(item, result);
+    } catch (error) {
+      this.log(`[ERROR] Failed to process ${url}: ${error.message}`);
+      this.emit('error', { url, error, message: error.message });
+    }
+    return false;
   }
 
   /**
-   * Check if URL is same origin (prevent crawling entire internet)
+   * Store a fetched page and queue the in-scope URLs it links to
    */
-  isSameOrigin(urlString, origin) {
-    try {
-      const url = new URL(urlString);
-      return url.origin === origin;
-    } catch {
-      return false;
+  async recordPage(item, page) {
+    const { url, depth } = item;
+    const { anchorTexts, linkTargets, ...result } = page;
+    const sitemap = item.sitemap ?? this.sitemapEntries.get(url);
+    if (sitemap) result.sitemap = sitemap;
+    const duplicate = this.checkDuplicate(result);
+    this.addResult(result);
+    this.metrics.pages.inc({ status: result.status });
+    this.emit('page', {
+      url,
+      finalUrl: result.finalUrl ?? url,
+      status: result.status,
+      depth,
+      contentType: result.contentType,
+      responseTime: result.responseTime,
+      linksFound: result.linksFound,
+      renderer: result.renderer ?? null,
+      changeStatus: result.changeStatus ?? null,
+    });
+
+    // A 304 reuses the previous record, so its links were not extracted this run
+    if (result.notModified) {
+      (result.foundUrls || []).forEach((foundUrl) => this.discoveredUrls.add(foundUrl));
+    }
+
+    // Queue in-scope URLs (the frontier drops ones already seen)
+    const foundUrls = result.foundUrls || [];
+    if (depth >= this.config.maxDepth) return;
+    if (duplicate && !this.config.followDuplicateLinks) return; // Its links are the original's
+
+    const items = [];
+    for (const discoveredUrl of foundUrls) {
+      const scope = this.checkScope(discoveredUrl, {
+        depth: depth + 1,
+        parentHops: item.hops ?? 0,
+        parentUrl: url,
+      });
+      if (!scope.allowed) continue;
+
+      items.push(
+        this.createQueueItem({
+          url: discoveredUrl,
+          depth: depth + 1,
+          hops: scope.hops,
+          source: 'link',
+          anchorText: anchorTexts?.get(discoveredUrl) ?? '',
+          fetchUrl: linkTargets?.get(discoveredUrl),
+          parentUrl: url,
+        })
+      );
     }
+    await this.enqueue(items, url);
   }
 
   /**
-   * Utility: sleep for specified milliseconds
+   * Mark a successful page whose content matches an earlier page as its
+   * duplicate (duplicateOf, duplicateKind, duplicateSimilarity)
    */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  checkDuplicate(result) {
+    if (!result.fingerprint || result.status < 200 || result.status >= 300) return null;
+    const duplicate = this.duplicates.check(result.url, result.fingerprint);
+    if (!duplicate) return null;
+
+    result.duplicateOf = duplicate.duplicateOf;
+    result.duplicateKind = duplicate.kind;
+    result.duplicateSimilarity = duplicate.similarity;
+    this.log(`[DUPLICATE] ${result.url} is ${duplicate.kind === 'exact' ? 'a copy' : 'a near copy'} of ${duplicate.duplicateOf}`);
+    return duplicate;
   }
 
   /**
-   * Get visited URLs (for monitoring/debugging)
+   * Count a finished result, keep it in memory if configured and stream it to disk
    */
-  getVisitedUrls() {
-    return Array.from(this.visitedUrls);
+  addResult(page) {
+    const result = this.session.redactValue(page); // No credentials in stored results
+    this.trackResult(result);
+    if (this.config.keepResultsInMemory) this.results.push(result);
+    if (this.resultStore) this.storeResult(result);
   }
 
   /**
-   * Get current queue size (for monitoring)
+   * Take back a result recorded before a resume (already on disk)
    */
-  getQueueSize() {
-    return this.urlQueue.length;
+  restoreResult(result) {
+    this.trackResult(result);
+    if (result.url && result.status !== null) {
+      const host = new URL(result.url).host;
+      this.hostPageCounts.set(host, (this.hostPageCounts.get(host) || 0) + 1);
+    }
+    if (!result.duplicateOf && result.status >= 200 && result.status < 300) {
+      this.duplicates.add(result.url, result.fingerprint); // Later pages may still copy it
+    }
+    if (this.config.keepResultsInMemory) this.results.push(result);
   }
 
   /**
-   * Initialize storage directory
+   * Update counters and canonical aliases for a result
    */
-  initializeStorage() {
-    if (!fs.existsSync(this.config.storageDir)) {
-      fs.mkdirSync(this.config.storageDir, { recursive: true });
+  trackResult(result) {
+    this.resultCount++;
+    if (result.changeStatus) {
+      this.changeCounts[result.changeStatus] = (this.changeCounts[result.changeStatus] || 0) + 1;
     }
-    this.storageStats = {
-      fileCount: 0,
-      totalSize: 0,
-      totalResults: 0,
-      currentFile: null,
-      currentSize: 0,
-    };
+    // Record alias -> canonical (the canonical URL itself is queued via link[href])
+    if (result.canonicalUrl && result.canonicalUrl !== result.url) {
+      this.canonicalAliases.set(result.url, result.canonicalUrl);
+    }
+    if (this.textIndex) this.textIndex.add(result);
+    if (result.duplicateOf) this.duplicateCount++;
   }
 
   /**
-   * Store result to JSONL file
+   * Hold a failed URL back for another attempt if the policy allows it.
+   * The URL stays claimed, so no other worker or process picks it up.
    */
-  storeResult(result) {
-    const timestamp = new Date(this.startTime).toISOString().split('T')[0];
-    const timeStr = new Date(this.startTime).toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    const fileName = `results-${timeStr}-0.jsonl`;
-    const filePath = path.join(this.config.storageDir, fileName);
+  scheduleRetry(item, failure, retryAfter) {
+    const attempt = item.attempt ?? 0;
+    if (!this.retryPolicy.shouldRetry(failure, attempt, retryAfter)) return false;
 
-    // Append to JSONL file
-    fs.appendFileSync(filePath, JSON.stringify(result) + '\n');
+    const delay = this.retryPolicy.delay(attempt, retryAfter);
+    item.attempt = attempt + 1;
+    this.retries.push({ item, retryAt: Date.now() + delay });
+    this.retryCount++;
+    this.metrics.retries.inc({ kind: failure.kind });
 
-    this.storageStats.currentFile = fileName;
-    this.storageStats.totalResults++;
-    
-    // Update file size
-    const stats = fs.statSync(filePath);
-    this.storageStats.currentSize = stats.size;
-    this.storageStats.totalSize = stats.size;
+    this.log(`[RETRY ${item.attempt}/${this.retryPolicy.maxRetries}] ${item.url} (${failure.kind}) - waiting ${delay}ms`);
+    this.emit('retry', { url: item.url, attempt: item.attempt, kind: failure.kind, delay });
+    return true;
   }
 
   /**
-   * Finalize storage and export results
+   * Append a URL that failed for good to the dead-letter file
    */
-  finalizeStorage() {
-    // Update file count
-    const files = fs.readdirSync(this.config.storageDir).filter(f => f.endsWith('.jsonl'));
-    this.storageStats.fileCount = files.length;
+  deadLetter(item, failure, details = {}) {
+    const entry = this.session.redactValue({
+      url: item.url,
+      ...(item.fetchUrl && { fetchUrl: item.fetchUrl }),
+      depth: item.depth,
+      seedUrl: this.seedUrl,
+      kind: failure.kind,
+      attempts: (item.attempt ?? 0) + 1,
+      ...details,
+      failedAt: new Date().toISOString(),
+    });
+    const filePath = this.getDeadLetterPath();
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      // Losing the record must not abort the crawl
+      this.log(`[DEAD-LETTER] Failed to record ${item.url}: ${error.message}`);
+      this.emit('error', { url: item.url, error, message: error.message });
+      return;
+    }
+    this.deadLetterCount++;
+    this.metrics.deadLetters.inc({ kind: failure.kind });
+    this.emit('dead-letter', { ...entry, path: filePath });
+  }
 
-    // Export to JSON
-    this.exportToJSON();
+  /**
+   * Path of the dead-letter file for the current run
+   */
+  getDeadLetterPath() {
+    return path.join(this.config.storageDir, `dead-letter-${this.getRunId()}.jsonl`);
   }
 
   /**
-   * Export results to JSON file
+   * Entries of the current run's dead-letter file ([] if nothing failed)
    */
-  exportToJSON(filename = 'crawl-results.json') {
-    const jsonData = {
-      metadata: {
-        startTime: new Date(this.startTime).toISOString(),
-        endTime: new Date().toISOString(),
-        duration: this.getDuration(),
-        totalCrawled: this.results.length,
-        totalDiscovered: this.discoveredUrls.size,
-      },
-      results: this.results,
-    };
+  readDeadLetters() {
+    if (!this.startTime) return [];
+    const filePath = this.getDeadLetterPath();
+    if (!fs.existsSync(filePath)) return [];
+    return ResultStore.readSegment(filePath);
+  }
 
-    const filePath = path.join(process.cwd(), filename);
-    fs.writeFileSync(filePath, JSON.stringify(jsonData, null, 2));
+  /**
+   * Crawl the URLs recorded in a dead-letter file again, at their original depth
+   */
+  async replayDeadLetters(deadLetterPath) {
+    let entries;
+    try {
+      entries = fs
+        .readFileSync(deadLetterPath, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Cannot read dead-letter file ${deadLetterPath}: ${error.message}`);
+    }
+    if (entries.length === 0) return [];
 
-    return filePath;
+    await this.resetState();
+    this.isRunning = true;
+    this.startTime = Date.now();
+    this.runId = this.createRunId();
+    this.initializeStorage();
+
+    this.seedUrl = entries[0].seedUrl || entries[0].url;
+    this.domainsCrawled.add(new URL(this.seedUrl).hostname);
+    this.scope = new CrawlScope(this.config.scope, this.seedUrl);
+
+    const items = entries.map((entry) =>
+      this.createQueueItem({ url: entry.url, fetchUrl: entry.fetchUrl, depth: entry.depth ?? 0, source: 'dead-letter' })
+    );
+    items.forEach((item) => this.discoveredUrls.add(item.url));
+    await this.enqueue(items);
+
+    this.log(`[REPLAY] ${items.length} dead-letter URL(s) from ${deadLetterPath}`);
+    return this.runWorkers();
   }
 
   /**
-   * Get crawl duration in seconds
+   * Pick the next URL whose host can take a request now. URLs for busy hosts
+   * are held back (still claimed) so one slow host never blocks the workers.
    */
-  getDuration() {
-    if (!this.startTime) return 0;
-    return ((Date.now() - this.startTime) / 1000).toFixed(2) + 's';
+  async nextReadyItem() {
+    // A URL whose retry delay has passed and whose host is ready
+    const now = Date.now();
+    const retryIndex = this.retries.findIndex(
+      ({ item, retryAt }) => retryAt <= now && this.scheduler.canStart(new URL(item.url).host)
+    );
+    if (retryIndex !== -1) {
+      return this.retries.splice(retryIndex, 1)[0].item;
+    }
+
+    // A held-back URL whose host became ready
+    for (const [host, items] of this.deferred) {
+      if (!this.scheduler.canStart(host)) continue;
+      const item = items.shift();
+      if (items.length === 0) this.deferred.delete(host);
+      this.deferredCount--;
+      return item;
+    }
+
+    while (this.deferredCount < this.config.maxDeferredUrls) {
+      // Claiming marks the URL visited atomically, even across processes
+      const item = await this.frontier.claim();
+      if (!item) return null;
+
+      if (item.depth > this.config.maxDepth) {
+        this.skip(item.url, 'depth', { depth: item.depth });
+        await this.frontier.complete(item.url);
+        continue;
+      }
+      if (!(await this.isAllowedByRobots(item.fetchUrl ?? item.url))) {
+        await this.frontier.complete(item.url);
+        continue;
+      }
+
+      const host = new URL(item.url).host;
+      if (this.config.respectRobotsTxt) {
+        const robots = await this.getRobots(item.url);
+        this.scheduler.setCrawlDelay(host, robots.getCrawlDelay(this.config.userAgent));
+      }
+
+      if (this.scheduler.canStart(host)) return item;
+
+      if (!this.deferred.has(host)) this.deferred.set(host, []);
+      this.deferred.get(host).push(item);
+      this.deferredCount++;
+    }
+    return null;
   }
 
   /**
-   * Get pages per second rate
+   * Wait for a request slot on the host, then take it
    */
-  getPagesPerSecond() {
-    if (!this.startTime) return 0;
-    const seconds = (Date.now() - this.startTime) / 1000;
-    return (this.results.length / seconds).toFixed(2);
+  async acquireHostSlot(host) {
+    while (!this.scheduler.canStart(host)) {
+      const wait = this.scheduler.waitTime(host) || this.config.idlePollInterval;
+      await this.sleep(Math.min(wait, 1000));
+    }
+    this.scheduler.start(host);
   }
 
   /**
-   * Search results for keyword
+   * GET through the host scheduler: wait for a slot, then report the outcome
+   * (status, timing, Retry-After) so the host's pacing can adapt
    */
-  search(keyword) {
-    const lowerKeyword = keyword.toLowerCase();
-    return this.results.filter(
-      (result) =>
-        (result.title && result.title.toLowerCase().includes(lowerKeyword)) ||
-        result.url.toLowerCase().includes(lowerKeyword)
-    );
+  async scheduledGet(host, url, options) {
+    return this.scheduled(host, () => this.download(url, options));
   }
 
   /**
-   * Get statistics about crawl
+   * GET a URL with its body as a Buffer, reading at most maxBodySize bytes:
+   * a larger body is abandoned (response.bodyTooLarge, empty data) instead of
+   * being buffered
    */
-  getStats() {
-    const duration = (Date.now() - (this.startTime || Date.now())) / 1000;
-    return {
-      totalCrawled: this.results.length,
-      totalDiscovered: this.discoveredUrls.size,
-      startTime: this.startTime,
-      duration: duration.toFixed(2) + 's',
-      pagesPerSecond: (this.results.length / duration).toFixed(2),
-      domainsCrawled: this.domainsCrawled.size,
-    };
+  async download(url, options) {
+    const route = this.network.route(url);
+    const response = await axios.get(url, { ...options, ...route.options, responseType: 'stream' });
+    const limit = this.config.maxBodySize;
+    const chunks = [];
+    let size = 0;
+    let tooLarge = limit > 0 && Number(response.headers['content-length']) > limit;
+    if (!tooLarge) {
+      for await (const chunk of response.data) {
+        size += chunk.length;
+        if (limit > 0 && size > limit) {
+          tooLarge = true;
+          break;
+        }
+        chunks.push(chunk);
+      }
+    }
+    response.data.destroy();
+    if (tooLarge) this.log(`[TOO LARGE] ${url}: body over ${limit} bytes not downloaded`);
+    response.data = tooLarge ? Buffer.alloc(0) : Buffer.concat(chunks);
+    response.bodyTooLarge = tooLarge;
+    response.proxy = route.proxy;
+    return response;
+  }
+
+  /**
+   * Run a request (anything resolving to { status, headers }) through the
+   * host scheduler
+   */
+  async scheduled(host, request) {
+    await this.acquireHostSlot(host);
+    const startTime = Date.now();
+    let outcome = {};
+    try {
+      const response = await request();
+      const responseTime = Date.now() - startTime;
+      outcome = { status: response.status, responseTime, retryAfter: response.headers?.['retry-after'] };
+      const bytes = Buffer.byteLength(response.data ?? response.body ?? '');
+      this.bytesFetched += bytes;
+      this.metrics.recordResponse(host, { status: response.status, responseTime, bytes });
+      return { response, responseTime };
+    } catch (error) {
+      this.metrics.recordRequestError(host, error.code);
+      throw error;
+    } finally {
+      this.scheduler.finish(host, outcome);
+    }
+  }
+
+  /**
+   * Build a frontier item, scoring it when the 'priority' strategy is active
+   */
+  createQueueItem(context) {
+    const item = { url: context.url, depth: context.depth, source: context.source };
+    // The URL as linked, when it differs from its canonical (dedup) form
+    if (context.fetchUrl && context.fetchUrl !== context.url) item.fetchUrl = context.fetchUrl;
+    if (context.hops) item.hops = context.hops; // hops into an allowed external host
+    if (context.sitemap) item.sitemap = context.sitemap;
+    if (this.scorer) {
+      const score = Number(this.scorer({ anchorText: '', parentUrl: null, ...context }));
+      item.priority = Number.isFinite(score) ? score : 0;
+    }
+    return item;
+  }
+
+  /**
+   * Add items to the frontier, reporting the ones it did not know yet
+   */
+  async enqueue(items, parentUrl = null) {
+    const added = await this.frontier.add(items);
+    for (const item of added) {
+      this.metrics.enqueued.inc({ source: item.source });
+      this.emit('enqueue', { url: item.url, depth: item.depth, source: item.source, parentUrl });
+    }
+    return added;
+  }
+
+  /**
+   * Report a URL that will not be crawled (reason: scope, robots, depth, host-budget)
+   */
+  skip(url, reason, details = {}) {
+    this.metrics.skipped.inc({ reason });
+    this.emit('skip', { url, reason, ...details });
+  }
+
+  /**
+   * Fetch URL content and extract links (single attempt; the worker
+   * retries failures according to the retry policy). options.headers are
+   * added to the first request (e.g. conditional request headers).
+   * Redirects are followed hop by hop so the chain can be recorded.
+   * URLs matched by renderRules go to their renderer instead.
+   */
+  async fetchAndParse(url, depth, options = {}) {
+    const renderer = this.selectRenderer(url);
+    if (renderer) return this.renderAndParse(renderer, url, depth);
+
+    const redirectChain = []; // { url, status, location } per redirect hop
+    let redirectError = null;
+    let currentUrl = url;
+    let response;
+    let body;
+    let archived;
+    let totalTime = 0;
+
+    for (;;) {
+      const fetched = await this.scheduledGet(new URL(currentUrl).host, currentUrl, {
+        timeout: this.config.timeout,
+        headers: { 
+          'User-Agent': this.config.userAgent,
+          'Accept-Encoding': 'gzip, deflate', // Enable compression
+          'Connection': 'keep-alive', // Connection pooling
+          ...this.sessionHeaders(currentUrl),
+          ...(redirectChain.length === 0 ? options.headers : {}),
+        },
+        validateStatus: () => true, // Accept all status codes
+        maxRedirects: 0, // Redirects are followed below
+      });
+      response = fetched.response;
+      totalTime += fetched.responseTime;
+      this.session.storeCookies(currentUrl, response.headers);
+      body = Buffer.from(response.data || []);
+      // An abandoned body is not archived: the record would not be the response
+      if (!response.bodyTooLarge) {
+        archived = this.archiveResponse(currentUrl, response, body, { responseTime: fetched.responseTime, depth });
+      }
+
+      const location = REDIRECT_STATUSES.includes(response.status) ? response.headers['location'] : null;
+      if (!location) break;
+
+      let nextUrl;
+      try {
+        nextUrl = new URL(location, currentUrl).href;
+      } catch {
+        redirectError = 'invalid-location';
+        break;
+      }
+      redirectChain.push({ url: currentUrl, status: response.status, location: nextUrl });
+
+      if (!nextUrl.startsWith('http')) {
+        redirectError = 'invalid-location';
+      } else if (nextUrl === url || redirectChain.some((hop) => hop.url === nextUrl)) {
+        redirectError = 'loop';
+      } else if (redirectChain.length > this.config.maxRedirects) {
+        redirectError = 'too-many-redirects';
+      } else if (this.scope && this.scope.matchLogout(new URL(nextUrl))) {
+        redirectError = 'logout'; // Keep the session
+      } else if (!(await this.isAllowedByRobots(nextUrl))) {
+        redirectError = 'robots-disallowed';
+      }
+      if (redirectError) break;
+      currentUrl = nextUrl;
+    }
+
+    // Links on the final page are relative to the final URL
+    const result = this.parsePage({
+      url: currentUrl,
+      depth,
+      status: response.status,
+      headers: response.headers,
+      body,
+      responseTime: totalTime,
+    });
+    result.url = url;
+    result.finalUrl = currentUrl;
+    result.redirectChain = redirectChain;
+    result.renderer = 'http';
+    if (redirectError) result.redirectError = redirectError;
+    if (response.proxy) result.proxy = response.proxy;
+    if (response.bodyTooLarge) {
+      result.bodyTooLarge = true;
+      result.contentHash = null;
+    }
+    result.foundUrls.forEach((foundUrl) => this.discoveredUrls.add(foundUrl));
+    if (archived) result.warc = archived;
+
+    return result;
   }
+
+  /**
+   * Renderer for a URL: the first matching renderRules entry, else the
+   * default renderer. null means the built-in HTTP fetch.
+   */
+  selectRenderer(url) {
+    const { defaultRenderer, rules } = this.renderers;
+    if (rules.length > 0) {
+      const parsed = new URL(url);
+      const rule = rules.find((candidate) => candidate.test(parsed));
+      if (rule) return rule.renderer;
+    }
+    return defaultRenderer;
+  }
+
+  /**
+   * Load a page through a renderer (e.g. a headless browser) and parse the
+   * rendered DOM. Rendered pages are not archived: the DOM is not what the
+   * server sent.
+   */
+  async renderAndParse(renderer, url, depth) {
+    const { response, responseTime } = await this.scheduled(new URL(url).host, () =>
+      renderer.render({
+        url,
+        userAgent: this.config.userAgent,
+        timeout: this.config.timeout,
+        headersFor: (requestUrl) => this.sessionHeaders(requestUrl),
+      })
+    );
+    const finalUrl = response.url || url;
+    const headers = response.headers || {};
+    this.session.storeCookies(finalUrl, headers);
+
+    const result = this.parsePage({
+      url: finalUrl,
+      depth,
+      status: response.status,
+      headers: { 'content-type': 'text/html', ...headers },
+      body: Buffer.from(response.body ?? ''),
+      responseTime,
+    });
+    result.url = url;
+    result.finalUrl = finalUrl;
+    result.redirectChain = response.redirectChain || [];
+    result.renderer = renderer.name;
+    result.foundUrls.forEach((foundUrl) => this.discoveredUrls.add(foundUrl));
+
+    return result;
+  }
+
+  /**
+   * Shut down renderers that hold resources (the headless browser)
+   */
+  async closeRenderers() {
+    for (const renderer of this.renderers.renderers) {
+      if (typeof renderer.close !== 'function') continue;
+      try {
+        await renderer.close();
+      } catch (error) {
+        this.log(`[RENDER] Failed to close ${renderer.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Build a result from a response: title, canonical URL and links for HTML
+   * (other content types go to the content handlers), validators and a
+   * content hash for every page. Used for live fetches and for responses
+   * replayed from a WARC archive.
+   */
+  parsePage({ url, depth, status, headers, body, responseTime, timestamp = new Date().toISOString() }) {
+    const contentType = headers['content-type'] || '';
+    const foundUrls = [];
+    const links = [];
+    const anchorTexts = new Map(); // url -> text of the first <a> linking to it
+    const linkTargets = new Map(); // url -> the URL as first linked (what gets fetched)
+    let title = null;
+    let canonicalUrl = null;
+    let extracted = null;
+    let text = null;
+    let print = null;
+    let handler = null;
+
+    // Every link with its type, source element, rel and anchor text.
+    // Only followable links are queued (foundUrls); all are recorded.
+    const addLinks = (pageLinks) => {
+      for (const link of pageLinks) {
+        let linkUrl;
+        try {
+          linkUrl = this.canonicalize(link.url);
+        } catch {
+          continue; // Skip URLs the canonicalizer rejects
+        }
+        links.push({ ...link, url: linkUrl });
+        if (!this.shouldFollow(link)) continue;
+
+        foundUrls.push(linkUrl);
+        if (!linkTargets.has(linkUrl)) linkTargets.set(linkUrl, withoutFragment(link.url));
+        if (link.element === 'a' && !anchorTexts.has(linkUrl)) {
+          anchorTexts.set(linkUrl, link.text);
+        }
+      }
+    };
+
+    if (contentType.includes('text/html')) {
+      const $ = cheerio.load(body.toString('utf8'));
+
+      // Extract page title
+      title = $('title').text() || null;
+
+      // Canonical URL declared by the page
+      const canonicalHref = $('link[rel~="canonical"]').first().attr('href');
+      if (canonicalHref) {
+        try {
+          const absoluteUrl = new URL(canonicalHref, url).href;
+          if (absoluteUrl.startsWith('http')) canonicalUrl = this.canonicalize(absoluteUrl);
+        } catch {
+          // Ignore malformed canonical links
+        }
+      }
+
+      addLinks(extractLinks($, url));
+
+      if (this.extractors.length > 0) {
+        extracted = this.runExtractors({ $, url, status, headers });
+      }
+
+      if (this.config.indexText || this.config.detectDuplicates) {
+        const pageText = extractPageText($);
+        if (this.config.indexText) text = pageText;
+        if (this.config.detectDuplicates) print = fingerprint(pageText);
+      }
+    } else {
+      const handled = this.runContentHandlers({ url, status, headers, contentType, body });
+      if (handled) {
+        handler = handled.name;
+        title = handled.title || null;
+        addLinks(normalizeLinks(handled.links, url));
+        const documentText = (handled.text || '').replace(/\s+/g, ' ').trim();
+        if (this.config.indexText) text = documentText;
+        if (this.config.detectDuplicates) print = fingerprint(documentText);
+      } else if (this.config.indexText && contentType.startsWith('text/')) {
+        text = body.toString('utf8').replace(/\s+/g, ' ').trim();
+      }
+    }
+
+    const result = {
+      url,
+      depth,
+      title,
+      canonicalUrl,
+      status,
+      contentType,
+      linksFound: links.length,
+      timestamp,
+      responseTime,
+      etag: headers['etag'] ?? null,
+      lastModified: headers['last-modified'] ?? null,
+      contentHash: status === 304 ? null : crypto.createHash('sha1').update(body).digest('hex'),
+      foundUrls, // URLs to queue (followable links)
+      links, // Every link: { url, type, element, attribute, text, rel, nofollow }
+      anchorTexts, // For priority scoring; not stored in results
+      linkTargets, // For fetching links as written; not stored
+      retryAfter: headers['retry-after'] ?? null, // For the retry policy; not stored
+    };
+    if (handler) result.handler = handler;
+    if (extracted) result.extracted = extracted;
+    if (text !== null) result.text = text.slice(0, this.config.maxIndexedText);
+    if (print) result.fingerprint = print;
+    return result;
+  }
+
+  /**
+   * Should a link be queued? Navigation links always are; resources and form
+   * targets only with followResourceLinks; nofollow links not with respectNofollow.
+   */
+  shouldFollow(link) {
+    if (link.nofollow && this.config.respectNofollow) return false;
+    return link.type === 'navigation' || this.config.followResourceLinks;
+  }
+
+  /**
+   * Parse a non-HTML response with the first handler for its content type
+   * that accepts it: { name, title, text, links }, or null. A failing handler
+   * is logged and the next one tried; the page itself is still recorded.
+   */
+  runContentHandlers(context) {
+    if (!context.body.length) return null;
+    for (const { name, types, handle } of this.contentHandlers) {
+      if (!types.some((type) => matchesType(context.contentType, type))) continue;
+      try {
+        const handled = handle(context);
+        if (handled) return { ...handled, name };
+      } catch (error) {
+        this.log(`[HANDLER] ${name} failed on ${context.url}: ${error.message}`);
+        this.emit('handler-error', { url: context.url, handler: name, error });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run the configured extractors on a loaded page. A failing extractor
+   * is logged and left out; the page itself is still recorded.
+   */
+  runExtractors(context) {
+    const extracted = {};
+    for (const { name, extract } of this.extractors) {
+      try {
+        const value = extract(context);
+        if (value !== undefined) extracted[name] = value;
+      } catch (error) {
+        this.log(`[EXTRACTOR] ${name} failed on ${context.url}: ${error.message}`);
+        this.emit('extractor-error', { url: context.url, extractor: name, error });
+      }
+    }
+    return extracted;
+  }
+
+  /**
+   * Write a fetch to the run's WARC archive (when enabled).
+   * Returns the response record's { file, offset, length }, or null.
+   */
+  archiveResponse(url, response, body, { responseTime, depth } = {}) {
+    if (!this.config.archiveWarc) return null;
+
+    if (!this.warcWriter) {
+      this.warcWriter = new WarcWriter({
+        dir: this.config.storageDir,
+        runId: this.getRunId(),
+        maxFileBytes: this.config.maxWarcBytes,
+        compress: this.config.compressWarc,
+        info: { software: 'IPFabric-Crawler/1.0', 'http-header-user-agent': this.config.userAgent },
+      }).open();
+    }
+
+    const request = response.request || {};
+    const res = request.res || {};
+    try {
+      return this.warcWriter.writeExchange({
+        url: res.responseUrl || url,
+        date: responseTime === undefined ? new Date() : new Date(Date.now() - responseTime),
+        requestHead: this.session.redactHead(request._header || ''),
+        responseHead: this.session.redactHead(WarcWriter.responseHead({
+          httpVersion: res.httpVersion,
+          status: response.status,
+          statusText: response.statusText,
+          rawHeaders: res.rawHeaders,
+          headers: response.headers,
+          bodyLength: body.length,
+        })),
+        body,
+        responseTime,
+        depth,
+      });
+    } catch (error) {
+      this.log(`[WARC] Failed to archive ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run the responses stored in a WARC file through the link extractor
+   * again, without refetching. Returns one result per response record.
+   */
+  replayWarc(filePath) {
+    const responses = [];
+    const depths = new Map(); // response record id -> depth from its metadata record
+
+    for (const record of WarcReader.records(filePath)) {
+      if (record.type === 'response') {
+        responses.push(record);
+      } else if (record.type === 'metadata' && record.headers['WARC-Refers-To']) {
+        const fields = WarcReader.parseFields(record.block);
+        if (fields.depth !== undefined) depths.set(record.headers['WARC-Refers-To'], Number(fields.depth));
+      }
+    }
+
+    return responses.map((record) => {
+      const http = WarcReader.parseHttpResponse(record.block);
+      const { anchorTexts, linkTargets, retryAfter, ...result } = this.parsePage({
+        url: record.uri,
+        depth: depths.get(record.headers['WARC-Record-ID']) ?? null,
+        status: http.status,
+        headers: http.headers,
+        body: http.body,
+        timestamp: record.date,
+      });
+      return result;
+    });
+  }
+
+
+  /**
+   * Fetch and cache robots.txt for the URL's origin
+   */
+  getRobots(urlString) {
+    const origin = new URL(urlString).origin;
+    if (!this.robotsCache.has(origin)) {
+      this.robotsCache.set(origin, this.fetchRobots(origin));
+    }
+    return this.robotsCache.get(origin);
+  }
+
+  /**
+   * Download robots.txt. Per RFC 9309: 4xx means no restrictions,
+   * 5xx means the whole site is disallowed.
+   */
+  async fetchRobots(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        ...this.network.route(origin).options,
+        timeout: this.config.timeout,
+        headers: { 'User-Agent': this.config.userAgent, ...this.sessionHeaders(`${origin}/robots.txt`) },
+        responseType: 'text',
+        validateStatus: () => true,
+        maxRedirects: 5,
+      });
+      this.archiveResponse(`${origin}/robots.txt`, response, Buffer.from(response.data ?? ''));
+
+      if (response.status >= 200 && response.status < 300) {
+        return new RobotsTxt(response.data);
+      }
+      if (response.status >= 500) {
+        this.log(`[ROBOTS] ${origin}/robots.txt returned ${response.status} - treating site as disallowed`);
+        return RobotsTxt.disallowAll();
+      }
+      return RobotsTxt.allowAll();
+    } catch (error) {
+      // Unreachable robots.txt: let the page fetch itself surface the error
+      this.log(`[ROBOTS] Could not fetch ${origin}/robots.txt: ${error.message}`);
+      return RobotsTxt.allowAll();
+    }
+  }
+
+  /**
+   * Check robots.txt for a URL, recording and emitting disallowed URLs
+   */
+  async isAllowedByRobots(url) {
+    if (!this.config.respectRobotsTxt) return true;
+
+    const robots = await this.getRobots(url);
+    const rule = robots.matchRule(url, this.config.userAgent);
+    if (!rule || rule.allow) return true;
+
+    const entry = { url, rule: `Disallow: ${rule.path}` };
+    this.robotsDisallowed.push(entry);
+    this.emit('robots-disallowed', entry);
+    this.skip(url, 'robots', { rule: entry.rule });
+    return false;
+  }
+
+  /**
+   * Find sitemaps (robots.txt Sitemap: lines, else /sitemap.xml), walk
+   * sitemap indexes and enqueue every in-scope URL they list
+   */
+  async discoverSitemaps(seedUrl) {
+    const origin = new URL(seedUrl).origin;
+    const robots = await this.getRobots(seedUrl);
+    const pending = robots.sitemaps.length > 0 ? [...robots.sitemaps] : [`${origin}/sitemap.xml`];
+    const fetched = new Set();
+    const items = [];
+
+    while (pending.length > 0 && fetched.size < this.config.maxSitemaps) {
+      const sitemapUrl = pending.shift();
+      if (fetched.has(sitemapUrl)) continue;
+      fetched.add(sitemapUrl);
+
+      const sitemap = await this.fetchSitemap(sitemapUrl);
+      if (!sitemap) continue;
+
+      if (sitemap.type === 'index') {
+        pending.push(...sitemap.entries.map((entry) => entry.loc));
+        continue;
+      }
+
+      for (const entry of sitemap.entries) {
+        let url;
+        try {
+          url = this.canonicalize(entry.loc);
+        } catch {
+          continue;
+        }
+        const scope = this.checkScope(url, { depth: 0, parentUrl: sitemapUrl });
+        if (!scope.allowed) continue;
+
+        const meta = {
+          lastmod: entry.lastmod,
+          changefreq: entry.changefreq,
+          priority: entry.priority,
+          sitemapUrl,
+        };
+        this.sitemapEntries.set(url, meta);
+        this.discoveredUrls.add(url);
+        items.push(
+          this.createQueueItem({ url, fetchUrl: withoutFragment(entry.loc), depth: 0, hops: scope.hops, source: 'sitemap', sitemap: meta })
+        );
+      }
+    }
+
+    const added = await this.enqueue(items);
+    if (fetched.size > 0 && items.length > 0) {
+      this.log(`[SITEMAP] ${items.length} URLs in ${fetched.size} sitemap(s), ${added.length} new`);
+    }
+    return added;
+  }
+
+  /**
+   * Download and parse one sitemap (plain or gzipped). Returns null on failure.
+   */
+  async fetchSitemap(sitemapUrl) {
+    try {
+      const response = await axios.get(sitemapUrl, {
+        ...this.network.route(sitemapUrl).options,
+        timeout: this.config.timeout,
+        headers: { 'User-Agent': this.config.userAgent, ...this.sessionHeaders(sitemapUrl) },
+        responseType: 'arraybuffer',
+        validateStatus: () => true,
+        maxRedirects: 5,
+      });
+      this.archiveResponse(sitemapUrl, response, Buffer.from(response.data || []));
+      if (response.status < 200 || response.status >= 300) return null;
+      return parseSitemap(decodeSitemap(response.data));
+    } catch (error) {
+      this.log(`[SITEMAP] Could not read ${sitemapUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Canonical form of a URL used for dedup (throws on invalid URLs)
+   */
+  canonicalize(urlString) {
+    if (!this.config.canonicalizeUrls) return new URL(urlString).href;
+    return this.canonicalizer.canonicalize(urlString);
+  }
+
+  /**
+   * Check a URL against the crawl scope, recording why it was rejected
+   */
+  checkScope(url, { depth, parentHops = 0, parentUrl = null }) {
+    const decision = this.scope.check(url, { depth, parentHops });
+    if (!decision.allowed && !this.scopeRejections.has(url)) {
+      const entry = { reason: decision.reason, parentUrl, depth };
+      this.scopeRejections.set(url, entry);
+      this.emit('scope-rejected', { url, ...entry });
+      this.skip(url, 'scope', { detail: entry.reason, parentUrl, depth });
+    }
+    return decision;
+  }
+
+  /**
+   * Check if URL is same origin (prevent crawling entire internet)
+   */
+  isSameOrigin(urlString, origin) {
+    try {
+      const url = new URL(urlString);
+      return url.origin === origin;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Utility: sleep for specified milliseconds
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Utility: log a line with credentials redacted
+   */
+  log(...parts) {
+    if (!this.config.logging) return;
+    console.log(...parts.map((part) => this.session.redact(part)));
+  }
+
+  /**
+   * Get visited URLs (for monitoring/debugging)
+   */
+  getVisitedUrls() {
+    return this.frontier.visitedList();
+  }
+
+  /**
+   * Get current queue size (for monitoring)
+   */
+  getQueueSize() {
+    return this.frontier.size();
+  }
+
+  /**
+   * Initialize storage directory
+   */
+  initializeStorage() {
+    if (!fs.existsSync(this.config.storageDir)) {
+      fs.mkdirSync(this.config.storageDir, { recursive: true });
+    }
+    this.storageStats = {
+      fileCount: 0,
+      totalSize: 0,
+      totalResults: 0,
+      currentFile: null,
+      currentSize: 0,
+    };
+  }
+
+  /**
+   * Identifier for the current run. Checkpoints written before run ids had
+   * a suffix derive it from the start time, to the second.
+   */
+  getRunId() {
+    return this.runId ?? new Date(this.startTime).toISOString().replace(/[:.]/g, '-').slice(0, -5);
+  }
+
+  /**
+   * Id for a new run: its start time to the millisecond and a random suffix,
+   * so runs started together in one storageDir never share files
+   */
+  createRunId() {
+    const time = new Date(this.startTime).toISOString().replace(/[:.]/g, '-').slice(0, -1);
+    return `${time}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Path of the checkpoint file for the current run
+   */
+  getCheckpointPath() {
+    return path.join(this.config.storageDir, `checkpoint-${this.getRunId()}.json`);
+  }
+
+  /**
+   * Start periodic checkpointing (does not keep the process alive)
+   */
+  startCheckpointTimer() {
+    this.stopCheckpointTimer();
+    if (!this.config.checkpointInterval) return;
+
+    this.checkpointTimer = setInterval(() => {
+      try {
+        this.saveCheckpoint();
+      } catch (error) {
+        this.log(`[CHECKPOINT] Failed to save: ${error.message}`);
+      }
+    }, this.config.checkpointInterval);
+    this.checkpointTimer.unref();
+  }
+
+  /**
+   * Stop periodic checkpointing
+   */
+  stopCheckpointTimer() {
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+  }
+
+  /**
+   * Snapshot of everything needed to continue the crawl later.
+   * The frontier puts in-flight URLs back into the queue, since their
+   * results have not been recorded yet.
+   */
+  getCheckpointState() {
+    const { queue, visited } = this.frontier.snapshot();
+
+    return {
+      version: 1,
+      seedUrl: this.seedUrl,
+      runId: this.getRunId(),
+      startTime: this.startTime,
+      savedAt: new Date().toISOString(),
+      config: this.session.redactValue({ ...this.config }),
+      queue,
+      visited,
+      discovered: Array.from(this.discoveredUrls),
+      domainsCrawled: Array.from(this.domainsCrawled),
+      hosts: {
+        scheduler: this.scheduler.snapshot(),
+        robotsDisallowed: this.robotsDisallowed,
+      },
+      scopeRejections: Array.from(this.scopeRejections),
+      storageStats: { ...this.storageStats },
+      // Streamed results are read back from their segments on resume
+      results: this.resultStore ? [] : this.results,
+    };
+  }
+
+  /**
+   * Write a checkpoint atomically (temp file + rename)
+   */
+  saveCheckpoint(extra = {}) {
+    if (!this.startTime) return null;
+
+    const filePath = this.getCheckpointPath();
+    const tmpPath = `${filePath}.tmp`;
+    const state = { ...this.getCheckpointState(), ...extra };
+
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+
+    this.emit('checkpoint', {
+      path: filePath,
+      queued: state.queue.length,
+      visited: state.visited.length,
+    });
+    return filePath;
+  }
+
+  /**
+   * Restore crawl state from a checkpoint object
+   */
+  async restoreCheckpoint(checkpoint) {
+    if (!checkpoint || checkpoint.version !== 1) {
+      throw new Error('Unsupported checkpoint format');
+    }
+
+    this.seedUrl = checkpoint.seedUrl;
+    this.startTime = checkpoint.startTime;
+    this.runId = checkpoint.runId ?? null;
+    await this.frontier.restore({ queue: checkpoint.queue, visited: checkpoint.visited });
+    this.discoveredUrls = new Set(checkpoint.discovered || []);
+    this.domainsCrawled = new Set(checkpoint.domainsCrawled || []);
+    (checkpoint.results || []).forEach((result) => this.restoreResult(result));
+
+    const hosts = checkpoint.hosts || {};
+    this.scheduler.restore(hosts.scheduler);
+    this.robotsDisallowed = hosts.robotsDisallowed || [];
+
+    this.scopeRejections = new Map(checkpoint.scopeRejections || []);
+
+    if (checkpoint.storageStats) {
+      this.storageStats = { ...this.storageStats, ...checkpoint.storageStats };
+    }
+  }
+
+  /**
+   * Mark results already written to this run's segments as done
+   */
+  async loadStoredResults() {
+    const known = new Set(this.results.map((r) => r.url));
+    for (const result of ResultStore.readRecords(this.config.storageDir, this.getRunId())) {
+      if (known.has(result.url)) continue;
+      known.add(result.url);
+      this.restoreResult(result);
+    }
+
+    await this.frontier.markDone(Array.from(known));
+  }
+
+  /**
+   * Open the run's result store (continuing existing segments on resume)
+   */
+  openResultStore() {
+    if (!this.config.storeResults || this.resultStore) return;
+
+    this.resultStore = new ResultStore({
+      dir: this.config.storageDir,
+      runId: this.getRunId(),
+      maxSegmentBytes: this.config.maxSegmentBytes,
+      maxSegmentRecords: this.config.maxSegmentRecords,
+      compress: this.config.compressSegments,
+    }).open();
+    this.storageStats = this.resultStore.getStats();
+  }
+
+  /**
+   * Store result to the current JSONL segment (rotating when it is full)
+   */
+  storeResult(result) {
+    this.resultStore.append(result);
+    this.storageStats = this.resultStore.getStats();
+  }
+
+  /**
+   * Close the last segment, write the manifest and export results
+   */
+  finalizeStorage() {
+    if (this.resultStore) {
+      this.resultStore.close({ completed: this.completed, stopReason: this.stopReason });
+      this.storageStats = this.resultStore.getStats();
+    }
+    if (this.warcWriter) {
+      this.warcWriter.close();
+    }
+    if (this.textIndex) {
+      this.textIndex.save(this.getSearchIndexPath());
+    }
+
+    if (this.config.exportJson) {
+      this.exportToJSON();
+    }
+  }
+
+  /**
+   * All results of the run: from memory, or streamed back from the segments
+   */
+  *iterateResults() {
+    if (this.config.keepResultsInMemory || !this.config.storeResults) {
+      yield* this.results;
+      return;
+    }
+    yield* ResultStore.readRecords(this.config.storageDir, this.getRunId());
+  }
+
+  /**
+   * Export results to JSON file. Results are written one at a time, so
+   * the export never holds more than one segment in memory.
+   */
+  exportToJSON(filename = 'crawl-results.json') {
+    const metadata = {
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: new Date(this.endTime ?? Date.now()).toISOString(),
+      duration: this.getDuration(),
+      totalCrawled: this.resultCount,
+      totalDiscovered: this.discoveredUrls.size,
+      completed: this.completed, // false: URLs were left queued (see stopReason)
+      stopReason: this.stopReason, // null, or max-pages, max-bytes, max-duration, aborted, stopped
+    };
+    // Same layout as JSON.stringify(data, null, 2)
+    const indent = (value, depth) => JSON.stringify(value, null, 2).replace(/\n/g, '\n' + '  '.repeat(depth));
+
+    const filePath = path.resolve(filename);
+    const fd = fs.openSync(filePath, 'w');
+    try {
+      fs.writeSync(fd, `{\n  "metadata": ${indent(metadata, 1)},\n`);
+      fs.writeSync(fd, `  "canonicalAliases": ${indent(Object.fromEntries(this.canonicalAliases), 1)},\n`);
+      fs.writeSync(fd, '  "results": [');
+      let count = 0;
+      for (const result of this.iterateResults()) {
+        fs.writeSync(fd, (count++ ? ',\n    ' : '\n    ') + indent(result, 2));
+      }
+      fs.writeSync(fd, count ? '\n  ]\n}' : ']\n}');
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Page -> page link graph of the crawl ({ includeUncrawled } adds link
+   * targets that were not fetched)
+   */
+  getLinkGraph(options = {}) {
+    return LinkGraph.fromResults(this.iterateResults(), options);
+  }
+
+  /**
+   * Export the link graph; the format follows the file extension
+   * (.csv edge list, .graphml, .dot / .gv)
+   */
+  exportLinkGraph(filename = 'link-graph.graphml', options = {}) {
+    const format = LinkGraph.formatFor(filename);
+    const filePath = path.resolve(filename);
+    fs.writeFileSync(filePath, this.getLinkGraph(options).serialize(format));
+    return filePath;
+  }
+
+  /**
+   * Broken links, long redirect chains, redirect loops and mixed content
+   * ({ maxRedirectHops } sets how many hops are acceptable, default 1)
+   */
+  buildLinkAudit(options = {}) {
+    const audit = new LinkAudit({ seedUrl: this.seedUrl, ...options });
+    for (const result of this.iterateResults()) audit.addResult(result);
+    for (const entry of this.readDeadLetters()) audit.addFailure(entry);
+    for (const result of this.iterateResults()) audit.addLinks(result);
+    return audit;
+  }
+
+  getAuditReport(options = {}) {
+    return this.buildLinkAudit(options).getReport();
+  }
+
+  /**
+   * Export the audit report; the format follows the file extension
+   * (.json, .md, .html)
+   */
+  exportAuditReport(filename = 'audit-report.html', options = {}) {
+    const format = LinkAudit.formatFor(filename);
+    const filePath = path.resolve(filename);
+    fs.writeFileSync(filePath, this.buildLinkAudit(options).serialize(format));
+    return filePath;
+  }
+
+  /**
+   * Get crawl duration in seconds
+   */
+  getDuration() {
+    if (!this.startTime) return 0;
+    return (((this.endTime ?? Date.now()) - this.startTime) / 1000).toFixed(2) + 's';
+  }
+
+  /**
+   * Get pages per second rate
+   */
+  getPagesPerSecond() {
+    if (!this.startTime) return 0;
+    const seconds = ((this.endTime ?? Date.now()) - this.startTime) / 1000;
+    return (this.resultCount / seconds).toFixed(2);
+  }
+
+  /**
+   * Search results for keyword
+   */
+  search(keyword) {
+    const lowerKeyword = keyword.toLowerCase();
+    const matches = [];
+    for (const result of this.iterateResults()) {
+      if (
+        (result.title && result.title.toLowerCase().includes(lowerKeyword)) ||
+        result.url.toLowerCase().includes(lowerKeyword)
+      ) {
+        matches.push(result);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Path of the full-text index file for the current run
+   */
+  getSearchIndexPath() {
+    return path.join(this.config.storageDir, `search-index-${this.getRunId()}.json`);
+  }
+
+  /**
+   * The run's full-text index: the live one, the saved file, or one built
+   * from results that carry text (empty when the run was not indexed)
+   */
+  getSearchIndex() {
+    if (this.textIndex) return this.textIndex;
+    if (this.startTime && fs.existsSync(this.getSearchIndexPath())) {
+      this.textIndex = SearchIndex.load(this.getSearchIndexPath());
+      return this.textIndex;
+    }
+    return SearchIndex.fromResults(this.iterateResults());
+  }
+
+  /**
+   * Full-text search: ranked hits with snippets (see SearchIndex.search
+   * for the query syntax and the depth / status / contentType filters)
+   */
+  searchText(query, options = {}) {
+    return this.getSearchIndex().search(query, options);
+  }
+
+  /**
+   * Metrics of a run; gauges read the crawler's live state at scrape time
+   */
+  createMetrics() {
+    return new CrawlMetrics({
+      gauges: {
+        queueSize: () => this.getQueueSize(),
+        discoveredUrls: () => this.discoveredUrls.size,
+        results: () => this.resultCount,
+        running: () => (this.isRunning ? 1 : 0),
+        uptimeSeconds: () => (this.startTime ? ((this.endTime ?? Date.now()) - this.startTime) / 1000 : 0),
+      },
+    });
+  }
+
+  /**
+   * Serve /metrics (Prometheus) and /status (JSON); resolves to the base URL.
+   * Started and stopped around the crawl when metricsPort is set.
+   */
+  async startMetricsServer({ port = this.config.metricsPort ?? 0, host = this.config.metricsHost } = {}) {
+    if (this.metricsServer) return this.metricsServer.url;
+    this.metricsServer = new MetricsServer(this, { port, host });
+    try {
+      await this.metricsServer.start();
+    } catch (error) {
+      this.metricsServer = null;
+      throw new Error(`Cannot start metrics endpoint on ${host}:${port}: ${error.message}`);
+    }
+    this.log(`[METRICS] Serving ${this.metricsServer.url}/metrics and /status`);
+    return this.metricsServer.url;
+  }
+
+  async stopMetricsServer() {
+    if (!this.metricsServer) return;
+    const server = this.metricsServer;
+    this.metricsServer = null;
+    await server.stop();
+  }
+
+  /**
+   * Live progress for the /status page and the 'done' event
+   */
+  getStatus() {
+    const seconds = this.startTime ? ((this.endTime ?? Date.now()) - this.startTime) / 1000 : 0;
+    const byLabel = (metric, label) =>
+      Object.fromEntries(metric.entries().map(({ labels, value }) => [labels[label], value]));
+    return {
+      running: this.isRunning,
+      stopReason: this.stopReason,
+      seedUrl: this.seedUrl,
+      runId: this.startTime ? this.getRunId() : null,
+      startTime: this.startTime ? new Date(this.startTime).toISOString() : null,
+      elapsedSeconds: Number(seconds.toFixed(1)),
+      crawled: this.resultCount,
+      discovered: this.discoveredUrls.size,
+      queued: this.getQueueSize(),
+      pagesPerSecond: seconds > 0 ? Number((this.resultCount / seconds).toFixed(2)) : 0,
+      statusCodes: byLabel(this.metrics.pages, 'status'),
+      retries: this.retryCount,
+      deadLetters: this.deadLetterCount,
+      skipped: byLabel(this.metrics.skipped, 'reason'),
+      hosts: this.metrics.hostSummary(seconds),
+    };
+  }
+
+  /**
+   * Get statistics about crawl
+   */
+  getStats() {
+    const duration = ((this.endTime ?? Date.now()) - (this.startTime || Date.now())) / 1000;
+    return {
+      totalCrawled: this.resultCount,
+      totalDiscovered: this.discoveredUrls.size,
+      startTime: this.startTime,
+      duration: duration.toFixed(2) + 's',
+      pagesPerSecond: (this.resultCount / duration).toFixed(2),
+      domainsCrawled: this.domainsCrawled.size,
+      hosts: this.scheduler.getStats(),
+      deferredUrls: this.deferredCount,
+      retries: this.retryCount,
+      deadLetters: this.deadLetterCount,
+      robotsDisallowed: this.robotsDisallowed.length,
+      robotsDisallowedUrls: this.robotsDisallowed.map((entry) => entry.url),
+      sitemapUrls: this.sitemapEntries.size,
+      canonicalAliases: this.canonicalAliases.size,
+      scopeRejected: this.scopeRejections.size,
+      scopeRejectedByReason: this.countScopeRejectionsByReason(),
+      scopeRejectedUrls: Array.from(this.scopeRejections, ([url, entry]) => ({ url, reason: entry.reason })),
+      changes: this.previousCrawl ? this.countChangeStatuses() : null,
+      duplicates: this.duplicateCount,
+      bytesFetched: this.bytesFetched,
+      completed: this.completed,
+      remainingUrls: this.remainingUrls,
+      stopReason: this.stopReason,
+    };
+  }
+
+  /**
+   * Groups of pages with the same content:
+   * [{ url, duplicates: [{ url, kind, similarity }] }], largest first
+   */
+  getDuplicateClusters() {
+    return DuplicateDetector.clustersFromResults(this.iterateResults());
+  }
+
+  /**
+   * Number of results per change status (incremental crawls)
+   */
+  countChangeStatuses() {
+    return Object.fromEntries(CHANGE_STATUSES.map((status) => [status, this.changeCounts[status] || 0]));
+  }
+
+  /**
+   * Number of scope rejections per reason
+   */
+  countScopeRejectionsByReason() {
+    const counts = {};
+    for (const { reason } of this.scopeRejections.values()) {
+      counts[reason] = (counts[reason] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+/**
+ * An absolute URL without its #fragment (which is never sent)
+ */
+function withoutFragment(input) {
+  const url = new URL(input);
+  url.hash = '';
+  return url.href;
 }
 
 module.exports = { DistributedWebCrawler };
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { tokenize } = require('./search');
+
+/**
+ * DUPLICATE CONTENT DETECTION
+ *
+ * Each page's visible text gets a fingerprint:
+ *   textHash - SHA-1 of the text's terms (case, punctuation and whitespace
+ *              ignored): equal hashes are exact duplicates
+ *   minhash  - MinHash signature of its 3-word shingles (64 x 32 bits, hex):
+ *              the share of equal slots estimates the Jaccard similarity of
+ *              two pages, and pages at least `similarity` alike are near
+ *              duplicates (a print view, the same article with another footer)
+ *
+ * The detector remembers the first page seen with each fingerprint; later
+ * pages that match are duplicates of it. Near-duplicate candidates are found
+ * with locality-sensitive hashing: signatures are cut into 16 bands of 4
+ * slots and only pages sharing a whole band are compared.
+ */
+
+const SIGNATURE_SIZE = 64;
+const BAND_SIZE = 4;
+const SHINGLE_SIZE = 3;
+const MIN_NEAR_DUPLICATE_WORDS = 10; // Shorter texts are only matched exactly
+
+// One seed per signature slot (fixed, so signatures compare across runs)
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(0x9e3779b9 ^ Math.imul(i + 1, 0x85ebca6b)));
+
+/**
+ * Fingerprint of a text: { textHash, minhash, words }, or null when there is
+ * no text
+ */
+function fingerprint(text) {
+  const terms = tokenize(text || '').map((token) => token.term);
+  if (terms.length === 0) return null;
+  return {
+    textHash: crypto.createHash('sha1').update(terms.join(' ')).digest('hex'),
+    minhash: minhash(terms),
+    words: terms.length,
+  };
+}
+
+/**
+ * MinHash signature of a term list's shingles, as 64 8-digit hex slots
+ */
+function minhash(terms) {
+  const size = Math.min(SHINGLE_SIZE, terms.length);
+  const shingles = new Set();
+  for (let i = 0; i + size <= terms.length; i++) shingles.add(terms.slice(i, i + size).join(' '));
+
+  const mins = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const hash = crypto.createHash('md5').update(shingle).digest().readUInt32BE(0);
+    for (let slot = 0; slot < SIGNATURE_SIZE; slot++) {
+      const value = mix32(hash ^ SEEDS[slot]);
+      if (value < mins[slot]) mins[slot] = value;
+    }
+  }
+  return mins.map((value) => value.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Estimated Jaccard similarity (0-1) of two MinHash signatures
+ */
+function similarity(a, b) {
+  let equal = 0;
+  for (let offset = 0; offset < a.length; offset += 8) {
+    if (a.slice(offset, offset + 8) === b.slice(offset, offset + 8)) equal++;
+  }
+  return equal / SIGNATURE_SIZE;
+}
+
+/**
+ * 32-bit integer finalizer (MurmurHash3 fmix32)
+ */
+function mix32(value) {
+  let h = value >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+class DuplicateDetector {
+  constructor(options = {}) {
+    this.similarity = options.similarity ?? 0.9; // Min estimated Jaccard similarity of a near duplicate
+    this.exact = new Map(); // textHash -> url
+    this.bandIndex = new Map(); // band key -> [{ url, minhash }]
+  }
+
+  /**
+   * Compare a page with the pages seen so far. Returns
+   * { duplicateOf, kind: 'exact' | 'near', similarity } or null; pages that
+   * duplicate nothing are remembered as originals.
+   */
+  check(url, print) {
+    if (!print) return null;
+
+    const exactMatch = this.exact.get(print.textHash);
+    if (exactMatch && exactMatch !== url) return { duplicateOf: exactMatch, kind: 'exact', similarity: 1 };
+
+    if (print.words >= MIN_NEAR_DUPLICATE_WORDS) {
+      let best = null;
+      const compared = new Set();
+      for (const key of bandKeys(print.minhash)) {
+        for (const candidate of this.bandIndex.get(key) || []) {
+          if (candidate.url === url || compared.has(candidate.url)) continue;
+          compared.add(candidate.url);
+          const score = similarity(print.minhash, candidate.minhash);
+          if (score >= this.similarity && (!best || score > best.similarity)) {
+            best = { duplicateOf: candidate.url, kind: 'near', similarity: score };
+          }
+        }
+      }
+      if (best) return best;
+    }
+
+    this.add(url, print);
+    return null;
+  }
+
+  /**
+   * Remember a page as an original (e.g. results restored on resume)
+   */
+  add(url, print) {
+    if (!print) return;
+    if (!this.exact.has(print.textHash)) this.exact.set(print.textHash, url);
+    if (print.words < MIN_NEAR_DUPLICATE_WORDS) return;
+    for (const key of bandKeys(print.minhash)) {
+      if (!this.bandIndex.has(key)) this.bandIndex.set(key, []);
+      this.bandIndex.get(key).push({ url, minhash: print.minhash });
+    }
+  }
+
+  /**
+   * Duplicate clusters from results carrying duplicateOf:
+   * [{ url, duplicates: [{ url, kind, similarity }] }], largest first
+   */
+  static clustersFromResults(results) {
+    const clusters = new Map();
+    for (const result of results) {
+      if (!result.duplicateOf) continue;
+      if (!clusters.has(result.duplicateOf)) clusters.set(result.duplicateOf, []);
+      clusters.get(result.duplicateOf).push({
+        url: result.url,
+        kind: result.duplicateKind,
+        similarity: result.duplicateSimilarity,
+      });
+    }
+    return Array.from(clusters, ([url, duplicates]) => ({ url, duplicates })).sort(
+      (a, b) => b.duplicates.length - a.duplicates.length
+    );
+  }
+}
+
+function bandKeys(signature) {
+  const width = BAND_SIZE * 8; // hex digits per band
+  const keys = [];
+  for (let offset = 0; offset < signature.length; offset += width) {
+    keys.push(`${offset / width}:${signature.slice(offset, offset + width)}`);
+  }
+  return keys;
+}
+
+module.exports = { DuplicateDetector, fingerprint, similarity };
@@ -0,0 +1,160 @@
+/**
+ * CONTENT EXTRACTORS
+ *
+ * An extractor runs on every crawled HTML page and returns a value that is
+ * stored under result.extracted[name]. It receives:
+ *   $        - the page loaded into cheerio (do not modify it)
+ *   url      - URL of the page
+ *   status   - HTTP status
+ *   headers  - response headers (lower-case names)
+ *
+ * Extractors are configured as built-in names, { name, extract } objects or
+ * named functions. Returning undefined leaves the field out of the result.
+ */
+
+/**
+ * <meta name="description">
+ */
+function metaDescription({ $ }) {
+  const content = $('meta[name="description" i]').first().attr('content');
+  return content === undefined ? null : content.trim();
+}
+
+/**
+ * <link rel="canonical"> as written by the page, resolved to an absolute URL
+ */
+function canonical({ $, url }) {
+  const href = $('link[rel~="canonical"]').first().attr('href');
+  return href ? resolveUrl(href, url) : null;
+}
+
+/**
+ * Alternate language versions: [{ lang, href }]
+ */
+function hreflang({ $, url }) {
+  return $('link[rel~="alternate"][hreflang]')
+    .map((_, el) => ({ lang: $(el).attr('hreflang'), href: resolveUrl($(el).attr('href') || '', url) }))
+    .get();
+}
+
+/**
+ * Heading texts by level: { h1: [...], h2: [...] } (empty levels omitted)
+ */
+function headings({ $ }) {
+  const levels = {};
+  $('h1, h2, h3, h4, h5, h6').each((_, el) => {
+    const text = cleanText($(el).text());
+    if (!text) return;
+    const level = el.tagName.toLowerCase();
+    (levels[level] = levels[level] || []).push(text);
+  });
+  return levels;
+}
+
+/**
+ * OpenGraph properties without the "og:" prefix; repeated properties become arrays
+ */
+function openGraph({ $ }) {
+  return collectMeta($, 'meta[property^="og:"]', 'property', 'og:');
+}
+
+/**
+ * Twitter card fields without the "twitter:" prefix
+ */
+function twitterCard({ $ }) {
+  return collectMeta($, 'meta[name^="twitter:"], meta[property^="twitter:"]', 'name', 'twitter:');
+}
+
+/**
+ * Parsed <script type="application/ld+json"> blocks; invalid ones as { error }
+ */
+function jsonLd({ $ }) {
+  return $('script[type="application/ld+json"]')
+    .map((_, el) => {
+      try {
+        return [JSON.parse($(el).text())];
+      } catch (error) {
+        return [{ error: error.message }];
+      }
+    })
+    .get();
+}
+
+/**
+ * Words of visible text (scripts, styles and templates excluded)
+ */
+function wordCount({ $ }) {
+  const body = $('body').length ? $('body').clone() : $.root().clone();
+  body.find('script, style, noscript, template, svg').remove();
+
+  // Separate text nodes, so adjacent blocks ("<h1>A</h1><p>B</p>") are two words
+  const texts = [];
+  body.find('*').addBack().contents().each((_, node) => {
+    if (node.type === 'text') texts.push(node.data);
+  });
+  const text = cleanText(texts.join(' '));
+  return text ? text.split(' ').length : 0;
+}
+
+function collectMeta($, selector, attribute, prefix) {
+  const fields = {};
+  $(selector).each((_, el) => {
+    const key = ($(el).attr(attribute) || $(el).attr('property') || '').slice(prefix.length);
+    const value = $(el).attr('content');
+    if (!key || value === undefined) return;
+    if (key in fields) {
+      fields[key] = [].concat(fields[key], value);
+    } else {
+      fields[key] = value;
+    }
+  });
+  return fields;
+}
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(href, base) {
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return href;
+  }
+}
+
+const extractors = {
+  'meta-description': metaDescription,
+  canonical,
+  hreflang,
+  headings,
+  'open-graph': openGraph,
+  'twitter-card': twitterCard,
+  'json-ld': jsonLd,
+  'word-count': wordCount,
+};
+
+/**
+ * Resolve configured extractors into [{ name, extract }]
+ */
+function resolveExtractors(list = []) {
+  return list.map((entry) => {
+    if (typeof entry === 'string') {
+      if (!extractors[entry]) {
+        throw new Error(
+          `Unknown extractor: ${entry} (expected one of ${Object.keys(extractors).join(', ')})`
+        );
+      }
+      return { name: entry, extract: extractors[entry] };
+    }
+    if (typeof entry === 'function' && entry.name) {
+      return { name: entry.name, extract: entry };
+    }
+    if (entry && typeof entry.extract === 'function' && entry.name) {
+      return { name: entry.name, extract: entry.extract };
+    }
+    throw new Error('Extractors must be built-in names, named functions or { name, extract } objects');
+  });
+}
+
+module.exports = { extractors, resolveExtractors };
@@ -0,0 +1,520 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * URL FRONTIER & DEDUPLICATION BACKENDS
+ *
+ * A frontier owns the crawl queue and the "seen" set. Every backend
+ * implements the same async interface so the crawler does not care where
+ * the state lives:
+ *
+ *   add(items)        -> items that were new (already seen URLs are dropped)
+ *   claim()           -> next item to fetch, or null; marks it visited atomically
+ *   complete(url)     -> the claimed URL is finished
+ *   markDone(urls)    -> record URLs as finished without fetching them
+ *   pendingCount()    -> queued + in-flight URLs across all workers/processes
+ *   size()            -> queued URLs (sync, last known value, for monitoring)
+ *   visitedList()     -> claimed or finished URLs (sync)
+ *   snapshot()        -> { queue, visited } for checkpoints (sync)
+ *   restore(state)    -> load a snapshot
+ *   reset()           -> clear state (only called for non-shared backends)
+ *   setStrategy(name) -> queue order: 'bfs', 'dfs' or 'priority'
+ *
+ * MemoryFrontier: single process, what the crawler uses by default.
+ * FileFrontier:   several processes on one machine share an append-only
+ *                 operation log guarded by a lock file.
+ */
+
+const STRATEGIES = ['bfs', 'dfs', 'priority'];
+
+/**
+ * Queue ordered by crawl strategy (binary heap):
+ * - bfs: first in, first out
+ * - dfs: last in, first out
+ * - priority: highest item.priority first, FIFO among equal scores
+ */
+class UrlQueue {
+  constructor(strategy = 'bfs') {
+    this.heap = [];
+    this.seq = 0;
+    this.setStrategy(strategy);
+  }
+
+  setStrategy(strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown crawl strategy: ${strategy} (expected ${STRATEGIES.join(', ')})`);
+    }
+    this.strategy = strategy;
+    this.rebuild(this.heap);
+  }
+
+  get length() {
+    return this.heap.length;
+  }
+
+  /**
+   * True if entry a should be dequeued before entry b
+   */
+  before(a, b) {
+    if (this.strategy === 'dfs') return a.seq > b.seq;
+    if (this.strategy === 'priority') {
+      const pa = a.item.priority ?? 0;
+      const pb = b.item.priority ?? 0;
+      if (pa !== pb) return pa > pb;
+    }
+    return a.seq < b.seq;
+  }
+
+  push(item) {
+    this.heap.push({ item, seq: this.seq++ });
+    this.siftUp(this.heap.length - 1);
+  }
+
+  shift() {
+    if (this.heap.length === 0) return undefined;
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    return top.item;
+  }
+
+  filter(predicate) {
+    this.rebuild(this.heap.filter((entry) => predicate(entry.item)));
+  }
+
+  clear() {
+    this.heap = [];
+  }
+
+  /**
+   * Items in dequeue order
+   */
+  toArray() {
+    return [...this.heap]
+      .sort((a, b) => (this.before(a, b) ? -1 : this.before(b, a) ? 1 : 0))
+      .map((entry) => entry.item);
+  }
+
+  rebuild(entries) {
+    this.heap = entries;
+    for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+  }
+
+  siftUp(index) {
+    const heap = this.heap;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.before(heap[index], heap[parent])) break;
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const heap = this.heap;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let first = index;
+      if (left < heap.length && this.before(heap[left], heap[first])) first = left;
+      if (right < heap.length && this.before(heap[right], heap[first])) first = right;
+      if (first === index) break;
+      [heap[index], heap[first]] = [heap[first], heap[index]];
+      index = first;
+    }
+  }
+}
+
+class MemoryFrontier {
+  constructor(options = {}) {
+    this.shared = false;
+    this.queue = new UrlQueue(options.strategy);
+    this.seen = new Set(); // queued, claimed or done
+    this.claimed = new Map(); // url -> item
+    this.done = new Set();
+  }
+
+  setStrategy(strategy) {
+    this.queue.setStrategy(strategy);
+  }
+
+  async reset() {
+    this.queue.clear();
+    this.seen.clear();
+    this.claimed.clear();
+    this.done.clear();
+  }
+
+  async add(items) {
+    const added = [];
+    for (const item of items) {
+      if (this.seen.has(item.url)) continue;
+      this.seen.add(item.url);
+      this.queue.push(item);
+      added.push(item);
+    }
+    return added;
+  }
+
+  async claim() {
+    while (this.queue.length > 0) {
+      const item = this.queue.shift();
+      if (this.done.has(item.url) || this.claimed.has(item.url)) continue;
+      this.claimed.set(item.url, item);
+      return item;
+    }
+    return null;
+  }
+
+  async complete(url) {
+    this.claimed.delete(url);
+    this.done.add(url);
+  }
+
+  async markDone(urls) {
+    for (const url of urls) {
+      this.seen.add(url);
+      this.done.add(url);
+    }
+    this.queue.filter((item) => !this.done.has(item.url));
+  }
+
+  async pendingCount() {
+    return this.queue.length + this.claimed.size;
+  }
+
+  size() {
+    return this.queue.length;
+  }
+
+  visitedList() {
+    return [...this.done, ...this.claimed.keys()];
+  }
+
+  snapshot() {
+    // In-flight URLs have no result yet, so they go back into the queue
+    return {
+      queue: [...this.claimed.values(), ...this.queue.toArray()],
+      visited: Array.from(this.done),
+    };
+  }
+
+  async restore(state) {
+    await this.reset();
+    await this.markDone(state.visited || []);
+    await this.add(state.queue || []);
+  }
+
+  async close() {}
+}
+
+/**
+ * File-backed frontier shared by several processes on one machine.
+ *
+ * All state changes are appended as JSON lines to <dir>/frontier.log while
+ * holding <dir>/frontier.lock (created with O_EXCL). Each process replays
+ * new log entries into a local replica before acting, so claims are atomic
+ * across processes. Claims held by processes that no longer exist are
+ * returned to the queue. A lock older than staleLockMs is removed only by the
+ * process holding <dir>/frontier.lock.break, after checking it is still stale,
+ * so two processes never both break it and take the new lock.
+ */
+class FileFrontier {
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('FileFrontier requires a dir option');
+    }
+    this.shared = true;
+    this.dir = options.dir;
+    this.logPath = path.join(this.dir, 'frontier.log');
+    this.lockPath = path.join(this.dir, 'frontier.lock');
+    this.breakLockPath = `${this.lockPath}.break`;
+    this.lockToken = null; // Content of the lock file while we hold it
+    this.staleLockMs = options.staleLockMs ?? 30000;
+    this.pid = process.pid;
+
+    this.offset = 0;
+    this.queue = new UrlQueue(options.strategy); // queued items; stale entries skipped on claim
+    this.status = new Map(); // url -> 'queued' | 'claimed' | 'done'
+    this.claims = new Map(); // url -> { pid, item }
+    this.items = new Map(); // url -> item
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Acquire the lock file, removing it if its holder died long ago
+   */
+  async lock() {
+    const token = `${this.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+    for (;;) {
+      try {
+        const fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, token);
+        fs.closeSync(fd);
+        this.lockToken = token;
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      this.breakStaleLock();
+      await new Promise((resolve) => setTimeout(resolve, 5 + Math.random() * 10));
+    }
+  }
+
+  /**
+   * Remove a stale lock file. Only the holder of the break lock may, and it
+   * checks again that the lock is stale: one that another process has just
+   * taken after removing the stale one is left alone.
+   */
+  breakStaleLock() {
+    if (!this.isStale(this.lockPath)) return;
+    try {
+      fs.closeSync(fs.openSync(this.breakLockPath, 'wx'));
+    } catch (error) {
+      // Someone else is breaking it; a break lock left by a dead process is stale too
+      if (error.code === 'EEXIST' && this.isStale(this.breakLockPath)) removeFile(this.breakLockPath);
+      return;
+    }
+    try {
+      if (this.isStale(this.lockPath)) removeFile(this.lockPath);
+    } finally {
+      removeFile(this.breakLockPath);
+    }
+  }
+
+  isStale(filePath) {
+    try {
+      return Date.now() - fs.statSync(filePath).mtimeMs > this.staleLockMs;
+    } catch {
+      return false; // Gone already
+    }
+  }
+
+  unlock() {
+    const token = this.lockToken;
+    this.lockToken = null;
+    try {
+      // Ours unless it was removed as stale and taken by another process
+      if (fs.readFileSync(this.lockPath, 'utf8') === token) fs.unlinkSync(this.lockPath);
+    } catch {
+      // Already removed as stale by another process
+    }
+  }
+
+  /**
+   * Run fn with the lock held and the replica up to date
+   */
+  async withLock(fn) {
+    await this.lock();
+    try {
+      this.sync();
+      return fn();
+    } finally {
+      this.unlock();
+    }
+  }
+
+  /**
+   * Replay log entries written since the last sync
+   */
+  sync() {
+    if (!fs.existsSync(this.logPath)) return;
+
+    const fileSize = fs.statSync(this.logPath).size;
+    if (fileSize <= this.offset) return;
+
+    const fd = fs.openSync(this.logPath, 'r');
+    const buffer = Buffer.alloc(fileSize - this.offset);
+    fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+    fs.closeSync(fd);
+
+    const text = buffer.toString('utf8');
+    const end = text.lastIndexOf('\n');
+    if (end === -1) return;
+
+    for (const line of text.slice(0, end).split('\n')) {
+      if (line) this.apply(JSON.parse(line));
+    }
+    this.offset += Buffer.byteLength(text.slice(0, end + 1));
+  }
+
+  /**
+   * Apply one log operation to the local replica
+   */
+  apply(op) {
+    switch (op.op) {
+      case 'add':
+        if (this.status.has(op.item.url)) return;
+        this.status.set(op.item.url, 'queued');
+        this.items.set(op.item.url, op.item);
+        this.queue.push(op.item);
+        break;
+      case 'claim':
+        this.status.set(op.url, 'claimed');
+        this.claims.set(op.url, { pid: op.pid, item: this.items.get(op.url) });
+        break;
+      case 'release':
+        if (this.status.get(op.url) !== 'claimed') return;
+        this.status.set(op.url, 'queued');
+        this.claims.delete(op.url);
+        this.queue.push(this.items.get(op.url));
+        break;
+      case 'done':
+        this.status.set(op.url, 'done');
+        this.claims.delete(op.url);
+        break;
+    }
+  }
+
+  /**
+   * Append operations to the log (lock must be held) and apply them
+   */
+  write(ops) {
+    if (ops.length === 0) return;
+    fs.appendFileSync(this.logPath, ops.map((op) => JSON.stringify(op)).join('\n') + '\n');
+    this.sync();
+  }
+
+  /**
+   * Release claims whose owning process has exited
+   */
+  releaseOrphanedClaims() {
+    const ops = [];
+    for (const [url, claim] of this.claims) {
+      if (claim.pid !== this.pid && !FileFrontier.isProcessAlive(claim.pid)) {
+        ops.push({ op: 'release', url });
+      }
+    }
+    this.write(ops);
+    return ops.length;
+  }
+
+  static isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  nextQueued() {
+    while (this.queue.length > 0) {
+      const { url } = this.queue.shift();
+      if (this.status.get(url) === 'queued') return url;
+    }
+    return null;
+  }
+
+  setStrategy(strategy) {
+    this.queue.setStrategy(strategy);
+  }
+
+  async reset() {}
+
+  async add(items) {
+    return this.withLock(() => {
+      const fresh = new Map();
+      for (const item of items) {
+        if (!this.status.has(item.url) && !fresh.has(item.url)) fresh.set(item.url, item);
+      }
+      this.write(Array.from(fresh.values(), (item) => ({ op: 'add', item })));
+      return Array.from(fresh.values());
+    });
+  }
+
+  async claim() {
+    return this.withLock(() => {
+      let url = this.nextQueued();
+      if (!url && this.releaseOrphanedClaims() > 0) {
+        url = this.nextQueued();
+      }
+      if (!url) return null;
+
+      this.write([{ op: 'claim', url, pid: this.pid }]);
+      return this.items.get(url);
+    });
+  }
+
+  async complete(url) {
+    return this.withLock(() => this.write([{ op: 'done', url }]));
+  }
+
+  async markDone(urls) {
+    return this.withLock(() => {
+      const ops = [];
+      for (const url of urls) {
+        if (!this.status.has(url)) ops.push({ op: 'add', item: { url, depth: 0 } });
+        if (this.status.get(url) !== 'done') ops.push({ op: 'done', url });
+      }
+      this.write(ops);
+    });
+  }
+
+  async pendingCount() {
+    return this.withLock(() => {
+      let count = 0;
+      for (const state of this.status.values()) {
+        if (state !== 'done') count++;
+      }
+      return count;
+    });
+  }
+
+  size() {
+    let count = 0;
+    for (const state of this.status.values()) {
+      if (state === 'queued') count++;
+    }
+    return count;
+  }
+
+  visitedList() {
+    return Array.from(this.status)
+      .filter(([, state]) => state !== 'queued')
+      .map(([url]) => url);
+  }
+
+  snapshot() {
+    const queue = [];
+    const visited = [];
+    for (const [url, state] of this.status) {
+      if (state === 'done') visited.push(url);
+      else queue.push(this.items.get(url));
+    }
+    return { queue, visited };
+  }
+
+  async restore(state) {
+    await this.markDone(state.visited || []);
+    await this.add(state.queue || []);
+  }
+
+  async close() {
+    // Give back anything this process still holds
+    await this.withLock(() => {
+      const ops = [];
+      for (const [url, claim] of this.claims) {
+        if (claim.pid === this.pid) ops.push({ op: 'release', url });
+      }
+      this.write(ops);
+    });
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch {
+    // Already gone
+  }
+}
+
+module.exports = { MemoryFrontier, FileFrontier, UrlQueue, STRATEGIES };
@@ -0,0 +1,462 @@
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { extractPageText } = require('./search');
+
+/**
+ * CONTENT HANDLERS
+ *
+ * HTML pages are parsed by the crawler itself; any other response goes to the
+ * first content handler registered for its content type:
+ *   feed - RSS 2.0, RSS 1.0 (RDF) and Atom: entry links and enclosures, feed
+ *          title, entry titles and summaries as text
+ *   xml  - other XML: absolute URLs in attributes and text, <title>, text
+ *   text - plain text, CSV and Markdown: bare http(s) URLs and the text
+ *   pdf  - PDF: text of the content streams, link annotations (/URI) and
+ *          bare URLs in the text, /Title from the document info
+ *
+ * A handler is { name, types, handle(context) }. types are MIME types, with
+ * wildcards ('text/*'); handle({ url, status, headers, contentType, body })
+ * gets the body as a Buffer and returns { title, text, links } (every field
+ * optional; links are { url, type, element, attribute, text } with URLs
+ * absolute or relative to the response URL). Returning null passes the
+ * response on to the next handler for its type. Handlers run synchronously.
+ *
+ * contentHandlers lists built-in names and handler objects in the order they
+ * are tried: [myHandler, ...DEFAULT_CONTENT_HANDLERS] adds one in front.
+ */
+
+const DEFAULT_CONTENT_HANDLERS = ['feed', 'xml', 'text', 'pdf'];
+
+const XML_TYPES = ['application/xml', 'text/xml', 'application/rss+xml', 'application/atom+xml', 'application/rdf+xml'];
+const BARE_URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`{}|\\^]+/gi;
+const MAX_PDF_STREAM_BYTES = 16 * 1024 * 1024; // Inflated size of one PDF stream
+
+// Content stream tokens, matched in place (sticky) so long streams are not copied
+const PDF_NAME = /\/[^\s()<>[\]{}/%]*/y;
+const PDF_NUMBER = /[+-]?(\d+\.?\d*|\.\d+)/y;
+const PDF_OPERATOR = /[^\s()<>[\]{}/%]+/y;
+const PDF_OCTAL = /[0-7]{1,3}/y;
+
+/**
+ * RSS and Atom feeds (also when served as plain XML)
+ */
+const feed = {
+  name: 'feed',
+  types: XML_TYPES,
+  handle({ body }) {
+    const $ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+    const root = $.root().children().get(0)?.name || '';
+    const isAtom = root === 'feed';
+    if (!isAtom && root !== 'rss' && root !== 'rdf:RDF') return null;
+
+    const links = [];
+    const texts = [];
+    const textOf = (el, tag) => cleanText($(el).children(tag).first().text());
+    const htmlText = (html) => (html ? extractPageText(cheerio.load(html)) : '');
+
+    const title = isAtom ? textOf($.root().children().first(), 'title') : cleanText($('channel > title').first().text());
+    texts.push(title);
+
+    if (isAtom) {
+      const atomLinks = (el, text) =>
+        $(el).children('link').each((_, link) => {
+          const rel = $(link).attr('rel') || 'alternate';
+          if (rel === 'self' || rel === 'edit') return;
+          links.push({
+            url: $(link).attr('href'),
+            type: rel === 'enclosure' ? 'resource' : 'navigation',
+            element: 'link',
+            attribute: 'href',
+            text: rel === 'alternate' ? text : '',
+            rel: [rel],
+          });
+        });
+      atomLinks($.root().children().first(), title);
+      $('entry').each((_, entry) => {
+        const entryTitle = textOf(entry, 'title');
+        atomLinks(entry, entryTitle);
+        texts.push(entryTitle, htmlText($(entry).children('summary').text()), htmlText($(entry).children('content').text()));
+      });
+    } else {
+      const channelLink = cleanText($('channel > link').first().text());
+      if (channelLink) links.push({ url: channelLink, element: 'link', attribute: null, text: title });
+      $('item').each((_, item) => {
+        const itemTitle = textOf(item, 'title');
+        const link = textOf(item, 'link') || cleanText($(item).attr('rdf:about'));
+        if (link) links.push({ url: link, element: 'link', attribute: null, text: itemTitle });
+        $(item).children('enclosure[url]').each((_, enclosure) => {
+          links.push({ url: $(enclosure).attr('url'), type: 'resource', element: 'enclosure', attribute: 'url' });
+        });
+        texts.push(itemTitle, htmlText($(item).children('description').text()), htmlText($(item).children('content\\:encoded').text()));
+      });
+    }
+
+    return { title: title || null, text: texts.filter(Boolean).join('\n'), links };
+  },
+};
+
+/**
+ * Any other XML document
+ */
+const xml = {
+  name: 'xml',
+  types: [...XML_TYPES, 'application/*+xml'],
+  handle({ body }) {
+    const $ = cheerio.load(body.toString('utf8'), { xmlMode: true });
+    const links = [];
+    const texts = [];
+    $('*').each((_, el) => {
+      for (const [attribute, value] of Object.entries(el.attribs || {})) {
+        if (/^xmlns\b|:schemaLocation$/.test(attribute)) continue; // Namespace names, not links
+        if (/^https?:\/\//i.test(value.trim())) links.push({ url: value.trim(), element: el.tagName, attribute });
+      }
+      for (const node of el.children || []) {
+        if (node.type !== 'text' && node.type !== 'cdata') continue;
+        const data = node.type === 'cdata' ? $(node).text() : node.data;
+        if (!data.trim()) continue;
+        texts.push(data.trim());
+        for (const url of findUrls(data)) links.push({ url, element: el.tagName, attribute: null });
+      }
+    });
+    return { title: cleanText($('title').first().text()) || null, text: texts.join('\n'), links };
+  },
+};
+
+/**
+ * Plain text: bare URLs
+ */
+const text = {
+  name: 'text',
+  types: ['text/plain', 'text/csv', 'text/markdown', 'text/x-markdown'],
+  handle({ body }) {
+    const content = body.toString('utf8');
+    return { text: content, links: findUrls(content).map((url) => ({ url, element: 'text', attribute: null })) };
+  },
+};
+
+/**
+ * PDF documents (also served as application/octet-stream)
+ */
+const pdf = {
+  name: 'pdf',
+  types: ['application/pdf', 'application/x-pdf', 'application/octet-stream'],
+  handle({ body }) {
+    const document = parsePdf(body);
+    if (!document) return null;
+    const links = document.uris.map((url) => ({ url, element: 'annotation', attribute: 'URI' }));
+    for (const url of findUrls(document.text)) {
+      if (!document.uris.includes(url)) links.push({ url, element: 'text', attribute: null });
+    }
+    return { title: document.title, text: document.text, links };
+  },
+};
+
+/**
+ * Text, link annotation URIs and title of a PDF, or null when the buffer is
+ * not a PDF. Content streams may be uncompressed or FlateDecode; text in
+ * fonts with two-byte (CID) encodings is not decoded.
+ */
+function parsePdf(buffer) {
+  const raw = buffer.toString('latin1');
+  const header = raw.indexOf('%PDF-');
+  if (header < 0 || header > 1024) return null;
+
+  const texts = [];
+  const dictionaries = [raw]; // Where /URI and /Title may appear: the file and its object streams
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(raw))) {
+    if (raw.slice(match.index - 3, match.index) === 'end') continue;
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    streamPattern.lastIndex = end + 'endstream'.length;
+
+    const dictionary = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+    if (/\/Subtype\s*\/Image|\/Length[123]\b|\/Type\s*\/XRef/.test(dictionary)) continue;
+    const content = decodePdfStream(buffer.subarray(start, end), dictionary);
+    if (content === null) continue;
+
+    if (/\/Type\s*\/ObjStm/.test(dictionary)) {
+      dictionaries.push(content);
+    } else if (/\bBT\b/.test(content)) {
+      texts.push(extractPdfText(content));
+    }
+  }
+
+  const uris = [];
+  for (const source of dictionaries) {
+    const uriPattern = /\/URI\s*(?=[(<])/g;
+    while ((match = uriPattern.exec(source))) {
+      const uri = readPdfString(source, uriPattern.lastIndex);
+      if (uri && !uris.includes(uri.value.trim())) uris.push(uri.value.trim());
+    }
+  }
+
+  return { text: texts.join('\n').replace(/[ \t]+/g, ' ').replace(/ ?\n+ ?/g, '\n').trim(), uris, title: pdfTitle(raw) };
+}
+
+/**
+ * A stream's content as a latin1 string, or null for filters other than FlateDecode
+ */
+function decodePdfStream(data, dictionary) {
+  const filters = (dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '';
+  const names = filters.match(/\/\w+/g) || [];
+  if (names.length === 0) return data.toString('latin1');
+  if (names.length > 1 || names[0] !== '/FlateDecode') return null;
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: MAX_PDF_STREAM_BYTES }).toString('latin1');
+  } catch {
+    try {
+      // Truncated or padded streams: keep what inflates
+      return zlib
+        .inflateSync(data, { maxOutputLength: MAX_PDF_STREAM_BYTES, finishFlush: zlib.constants.Z_SYNC_FLUSH })
+        .toString('latin1');
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Text shown by a content stream's text operators (Tj, TJ, ', "), with line
+ * breaks where the text position moves to another line
+ */
+function extractPdfText(content) {
+  let output = '';
+  let operands = [];
+  let array = null;
+  let position = 0;
+  const show = (value) => {
+    output += value.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+  };
+
+  while (position < content.length) {
+    const char = content[position];
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char === '%') {
+      while (position < content.length && content[position] !== '\n' && content[position] !== '\r') position++;
+    } else if (char === '(' || (char === '<' && content[position + 1] !== '<')) {
+      const string = readPdfString(content, position);
+      if (!string) break;
+      (array || operands).push(string.value);
+      position = string.end;
+    } else if (char === '[') {
+      array = [];
+      position++;
+    } else if (char === ']') {
+      if (array) operands.push(array);
+      array = null;
+      position++;
+    } else if (char === '<' || char === '>' || char === '{' || char === '}') {
+      position++;
+    } else if (char === '/') {
+      const name = matchAt(PDF_NAME, content, position);
+      operands.push(name);
+      position += name.length;
+    } else if (/[\d.+-]/.test(char)) {
+      const number = matchAt(PDF_NUMBER, content, position);
+      if (!number) {
+        position++;
+        continue;
+      }
+      (array || operands).push(Number(number));
+      position += number.length;
+    } else {
+      const operator = matchAt(PDF_OPERATOR, content, position) || char; // A stray ")"
+      position += operator.length;
+      const last = operands[operands.length - 1];
+      if (operator === 'Tj' && typeof last === 'string') {
+        show(last);
+      } else if ((operator === "'" || operator === '"') && typeof last === 'string') {
+        output += '\n';
+        show(last);
+      } else if (operator === 'TJ' && Array.isArray(last)) {
+        // Large negative adjustments (in thousandths of an em) separate words
+        for (const item of last) {
+          if (typeof item === 'string') show(item);
+          else if (item < -200) output += ' ';
+        }
+      } else if (operator === 'Td' || operator === 'TD') {
+        output += operands[1] ? '\n' : ' ';
+      } else if (operator === 'T*' || operator === 'ET' || operator === 'Tm') {
+        output += '\n';
+      } else if (operator === 'ID') {
+        // Inline image data runs up to EI
+        const end = content.indexOf('EI', position);
+        position = end < 0 ? content.length : end + 2;
+      }
+      operands = [];
+    }
+  }
+  return output;
+}
+
+/**
+ * Read a literal "(...)" or hex "<...>" string at start: { value, end }
+ */
+function readPdfString(source, start) {
+  let bytes = '';
+  let position = start;
+  if (source[position] === '<') {
+    const end = source.indexOf('>', position);
+    if (end < 0) return null;
+    const hex = source.slice(position + 1, end).replace(/[^0-9a-fA-F]/g, '');
+    for (let i = 0; i < hex.length; i += 2) bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    return { value: decodePdfText(bytes), end: end + 1 };
+  }
+
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 0;
+  position++;
+  while (position < source.length) {
+    const char = source[position];
+    if (char === '\\') {
+      const next = source[position + 1];
+      if (/[0-7]/.test(next)) {
+        const octal = matchAt(PDF_OCTAL, source, position + 1);
+        bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        position += 1 + octal.length;
+        continue;
+      }
+      if (next === '\r' && source[position + 2] === '\n') position++;
+      if (next !== '\r' && next !== '\n') bytes += escapes[next] ?? next;
+      position += 2;
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')' && depth-- === 0) return { value: decodePdfText(bytes), end: position + 1 };
+    bytes += char;
+    position++;
+  }
+  return null;
+}
+
+function matchAt(pattern, source, position) {
+  pattern.lastIndex = position;
+  const match = pattern.exec(source);
+  return match ? match[0] : null;
+}
+
+/**
+ * PDF text strings are UTF-16BE with a byte order mark, else (nearly) Latin-1
+ */
+function decodePdfText(bytes) {
+  if (bytes.startsWith('\xfe\xff')) {
+    const utf16 = Buffer.from(bytes.slice(2, bytes.length - (bytes.length % 2)), 'latin1');
+    return utf16.swap16().toString('utf16le');
+  }
+  return bytes;
+}
+
+/**
+ * /Title of the document information dictionary named by the trailer
+ */
+function pdfTitle(raw) {
+  const info = raw.match(/\/Info\s+(\d+)\s+(\d+)\s+R/);
+  if (!info) return null;
+  const object = raw.match(new RegExp(`(?:^|\\s)${info[1]}\\s+${info[2]}\\s+obj\\b`));
+  if (!object) return null;
+  const start = object.index + object[0].length;
+  const dictionary = raw.slice(start, raw.indexOf('endobj', start));
+  const title = dictionary.match(/\/Title\s*(?=[(<])/);
+  if (!title) return null;
+  const value = readPdfString(dictionary, title.index + title[0].length);
+  return value ? cleanText(value.value) || null : null;
+}
+
+/**
+ * Bare http(s) URLs in text, without trailing punctuation
+ */
+function findUrls(content) {
+  const urls = [];
+  for (let [url] of content.matchAll(BARE_URL_PATTERN)) {
+    url = url.replace(/[.,;:!?'*]+$/, '');
+    // A closing parenthesis belongs to the URL only if it opened one
+    while (/[)\]]$/.test(url) && count(url, url.endsWith(')') ? '(' : '[') < count(url, url.slice(-1))) {
+      url = url.slice(0, -1).replace(/[.,;:!?'*]+$/, '');
+    }
+    if (!urls.includes(url)) urls.push(url);
+  }
+  return urls;
+}
+
+function count(string, char) {
+  return string.split(char).length - 1;
+}
+
+function cleanText(value) {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+const contentHandlers = { feed, xml, text, pdf };
+
+/**
+ * Resolve configured handlers into [{ name, types, handle }]
+ */
+function resolveContentHandlers(list = DEFAULT_CONTENT_HANDLERS) {
+  return list.map((entry) => {
+    if (typeof entry === 'string') {
+      if (!contentHandlers[entry]) {
+        throw new Error(
+          `Unknown content handler: ${entry} (expected one of ${Object.keys(contentHandlers).join(', ')})`
+        );
+      }
+      return contentHandlers[entry];
+    }
+    if (entry && entry.name && Array.isArray(entry.types) && typeof entry.handle === 'function') {
+      return entry;
+    }
+    throw new Error('Content handlers must be built-in names or { name, types, handle } objects');
+  });
+}
+
+/**
+ * Does a content type header match a handler type ('text/plain', 'text/*')?
+ */
+function matchesType(contentType, type) {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  if (type === '*/*' || type === mimeType) return true;
+  if (type.endsWith('/*')) return mimeType.startsWith(type.slice(0, -1));
+  // 'application/*+xml' matches every XML-based type
+  const [prefix, suffix] = type.split('*');
+  return suffix !== undefined && mimeType.startsWith(prefix) && mimeType.endsWith(suffix);
+}
+
+/**
+ * Handler links as crawler links: absolute http(s) URLs with every field set
+ */
+function normalizeLinks(links = [], baseUrl) {
+  const normalized = [];
+  for (const link of links) {
+    let url;
+    try {
+      url = new URL(link.url, baseUrl).href;
+    } catch {
+      continue; // Skip invalid URLs
+    }
+    if (!url.startsWith('http')) continue;
+    const rel = link.rel || [];
+    normalized.push({
+      url,
+      type: link.type || 'navigation',
+      element: link.element || null,
+      attribute: link.attribute ?? null,
+      text: cleanText(link.text),
+      rel,
+      nofollow: Boolean(link.nofollow) || rel.includes('nofollow'),
+    });
+  }
+  return normalized;
+}
+
+module.exports = {
+  contentHandlers,
+  DEFAULT_CONTENT_HANDLERS,
+  resolveContentHandlers,
+  matchesType,
+  normalizeLinks,
+  findUrls,
+  parsePdf,
+};
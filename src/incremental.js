@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { ResultStore } = require('./storage');
+
+/**
+ * INCREMENTAL CRAWLING
+ *
+ * Loads the results of a previous run so the next run can send conditional
+ * requests (If-None-Match / If-Modified-Since) and label every result:
+ *
+ *   new        - URL was not in the previous run
+ *   changed    - content differs from the previous run
+ *   unchanged  - 304 Not Modified, or identical content hash
+ *   gone       - now 404/410, or no longer reached by the crawl
+ *
+ * Previous results can come from crawl-results.json (exportToJSON), a
+ * results-*.jsonl(.gz) segment, or a storage directory, in which case the
+ * newest completed run's segments are used. A stopped or interrupted run
+ * lacks the pages it never got to, which would all come back as "new"; it is
+ * only used when no run completed.
+ */
+
+const CHANGE_STATUSES = ['new', 'changed', 'unchanged', 'gone'];
+
+class PreviousCrawl {
+  constructor(records = []) {
+    this.records = new Map();
+    for (const record of records) {
+      // "not reached" markers carry no content; the last fetched record wins
+      if (record && record.url && record.goneReason !== 'not-reached') {
+        this.records.set(record.url, record);
+      }
+    }
+  }
+
+  /**
+   * Load previous results from a JSON export, a JSONL segment or a storage directory.
+   * excludeRunId skips the current run's own segments when scanning a directory.
+   */
+  static load(source, { excludeRunId = null } = {}) {
+    const stat = fs.statSync(source);
+
+    if (stat.isDirectory()) {
+      const runs = ResultStore.listRuns(source).filter((runId) => runId !== excludeRunId);
+      if (runs.length === 0) return new PreviousCrawl();
+      const completed = runs.filter((runId) => isCompletedRun(source, runId));
+      const runId = completed.length > 0 ? completed[completed.length - 1] : runs[runs.length - 1];
+      return new PreviousCrawl(ResultStore.readRecords(source, runId));
+    }
+
+    if (/\.jsonl(\.gz)?$/.test(source)) {
+      return new PreviousCrawl(ResultStore.readSegment(source));
+    }
+
+    const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+    return new PreviousCrawl(Array.isArray(data) ? data : data.results || []);
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  get(url) {
+    return this.records.get(url) || null;
+  }
+
+  urls() {
+    return Array.from(this.records.keys());
+  }
+
+  /**
+   * Conditional request headers for a URL fetched in the previous run
+   */
+  conditionalHeaders(url) {
+    const previous = this.get(url);
+    const headers = {};
+    if (!previous) return headers;
+    if (previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+    return headers;
+  }
+
+  /**
+   * Label a fresh result against the previous run. A 304 response is
+   * replaced by the previous record (its links are still needed to keep
+   * crawling), refreshed with this run's timing.
+   */
+  compare(result) {
+    const previous = this.get(result.url);
+    if (!previous) return { ...result, changeStatus: 'new' };
+
+    if (result.status === 304) {
+      const { changeStatus, warc, ...record } = previous;
+      const unchanged = {
+        ...record,
+        depth: result.depth,
+        timestamp: result.timestamp,
+        responseTime: result.responseTime,
+        notModified: true,
+        changeStatus: 'unchanged',
+      };
+      if (result.warc) unchanged.warc = result.warc; // this run's 304, not the old capture
+      return unchanged;
+    }
+
+    if ((result.status === 404 || result.status === 410) && previous.status < 400) {
+      return { ...result, changeStatus: 'gone', previousStatus: previous.status };
+    }
+
+    if (previous.contentHash && previous.contentHash === result.contentHash) {
+      return { ...result, changeStatus: 'unchanged' };
+    }
+
+    return { ...result, changeStatus: 'changed' };
+  }
+
+  /**
+   * Records for previous URLs this run never reached (already-gone URLs are not repeated)
+   */
+  goneRecords(reachedUrls) {
+    const timestamp = new Date().toISOString();
+    const gone = [];
+    for (const [url, previous] of this.records) {
+      if (reachedUrls.has(url) || previous.changeStatus === 'gone') continue;
+      gone.push({
+        url,
+        depth: previous.depth,
+        title: previous.title ?? null,
+        status: null,
+        previousStatus: previous.status,
+        timestamp,
+        changeStatus: 'gone',
+        goneReason: 'not-reached',
+      });
+    }
+    return gone;
+  }
+}
+
+/**
+ * Whether a stored run ran to completion: its manifest says so, or (runs
+ * stored before manifests recorded it) its final checkpoint does
+ */
+function isCompletedRun(dir, runId) {
+  const manifest = new ResultStore({ dir, runId }).readManifest();
+  if (typeof manifest?.completed === 'boolean') return manifest.completed;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `checkpoint-${runId}.json`), 'utf8')).completed === true;
+  } catch {
+    return false; // No final checkpoint: checkpointing was off, or the run was interrupted
+  }
+}
+
+module.exports = { PreviousCrawl, CHANGE_STATUSES };
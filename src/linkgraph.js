@@ -0,0 +1,188 @@
+/**
+ * LINK GRAPH
+ *
+ * Page -> page graph built from crawl results. Nodes are crawled pages
+ * (url, title, status, depth); edges are navigation links between them,
+ * merged per (source, target) with a link count, the first anchor text and
+ * whether every such link was nofollow. Links to URLs that were not crawled
+ * are left out unless includeUncrawled is set.
+ *
+ * Exports: CSV edge list, GraphML and Graphviz DOT.
+ */
+
+const FORMATS = {
+  '.csv': 'csv',
+  '.graphml': 'graphml',
+  '.dot': 'dot',
+  '.gv': 'dot',
+};
+
+class LinkGraph {
+  constructor(options = {}) {
+    this.includeUncrawled = options.includeUncrawled ?? false;
+    this.nodes = new Map(); // url -> { url, title, status, depth, crawled }
+    this.edges = new Map(); // "source\ttarget" -> { source, target, count, nofollow, text }
+  }
+
+  static fromResults(results, options) {
+    const graph = new LinkGraph(options);
+    for (const result of results) graph.addPage(result);
+    return graph;
+  }
+
+  /**
+   * Add a crawled page and its outgoing navigation links
+   */
+  addPage(result) {
+    if (!result || !result.url || result.status === null) return; // "gone" markers
+    this.nodes.set(result.url, {
+      url: result.url,
+      title: result.title ?? null,
+      status: result.status ?? null,
+      depth: result.depth ?? null,
+      crawled: true,
+    });
+
+    for (const link of result.links || []) {
+      if (link.type !== 'navigation' || link.url === result.url) continue;
+      const key = `${result.url}\t${link.url}`;
+      const edge = this.edges.get(key);
+      if (edge) {
+        edge.count++;
+        edge.nofollow = edge.nofollow && link.nofollow;
+        if (!edge.text && link.text) edge.text = link.text;
+      } else {
+        this.edges.set(key, { source: result.url, target: link.url, count: 1, nofollow: link.nofollow, text: link.text });
+      }
+    }
+  }
+
+  /**
+   * Edges to export, with uncrawled targets added as nodes when requested
+   */
+  getEdges() {
+    const edges = [];
+    for (const edge of this.edges.values()) {
+      if (!this.nodes.has(edge.target)) {
+        if (!this.includeUncrawled) continue;
+        this.nodes.set(edge.target, { url: edge.target, title: null, status: null, depth: null, crawled: false });
+      }
+      edges.push(edge);
+    }
+    return edges;
+  }
+
+  /**
+   * Export format implied by a file name (.csv, .graphml, .dot / .gv)
+   */
+  static formatFor(filename) {
+    const extension = (filename.match(/\.[^./]+$/) || [''])[0].toLowerCase();
+    const format = FORMATS[extension];
+    if (!format) {
+      throw new Error(`Unknown link graph format for ${filename} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return format;
+  }
+
+  serialize(format) {
+    switch (format) {
+      case 'csv':
+        return this.toCsv();
+      case 'graphml':
+        return this.toGraphML();
+      case 'dot':
+        return this.toDot();
+      default:
+        throw new Error(`Unknown link graph format: ${format}`);
+    }
+  }
+
+  /**
+   * Edge list: source,target,count,nofollow,text
+   */
+  toCsv() {
+    const rows = ['source,target,count,nofollow,text'];
+    for (const edge of this.getEdges()) {
+      rows.push([edge.source, edge.target, edge.count, edge.nofollow, edge.text].map(csvField).join(','));
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  toGraphML() {
+    const edges = this.getEdges();
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="title" for="node" attr.name="title" attr.type="string"/>',
+      '  <key id="status" for="node" attr.name="status" attr.type="int"/>',
+      '  <key id="depth" for="node" attr.name="depth" attr.type="int"/>',
+      '  <key id="crawled" for="node" attr.name="crawled" attr.type="boolean"/>',
+      '  <key id="count" for="edge" attr.name="count" attr.type="int"/>',
+      '  <key id="nofollow" for="edge" attr.name="nofollow" attr.type="boolean"/>',
+      '  <key id="text" for="edge" attr.name="text" attr.type="string"/>',
+      '  <graph id="crawl" edgedefault="directed">',
+    ];
+
+    for (const node of this.nodes.values()) {
+      lines.push(`    <node id="${xmlEscape(node.url)}">`);
+      if (node.title !== null) lines.push(`      <data key="title">${xmlEscape(node.title)}</data>`);
+      if (node.status !== null) lines.push(`      <data key="status">${node.status}</data>`);
+      if (node.depth !== null) lines.push(`      <data key="depth">${node.depth}</data>`);
+      lines.push(`      <data key="crawled">${node.crawled}</data>`);
+      lines.push('    </node>');
+    }
+
+    for (const edge of edges) {
+      lines.push(`    <edge source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">`);
+      lines.push(`      <data key="count">${edge.count}</data>`);
+      lines.push(`      <data key="nofollow">${edge.nofollow}</data>`);
+      if (edge.text) lines.push(`      <data key="text">${xmlEscape(edge.text)}</data>`);
+      lines.push('    </edge>');
+    }
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Graphviz DOT; nofollow edges are dashed, uncrawled nodes dotted
+   */
+  toDot() {
+    const edges = this.getEdges();
+    const lines = ['digraph crawl {'];
+
+    for (const node of this.nodes.values()) {
+      const attributes = [`label=${dotString(node.title || node.url)}`];
+      if (!node.crawled) attributes.push('style=dotted');
+      lines.push(`  ${dotString(node.url)} [${attributes.join(', ')}];`);
+    }
+
+    for (const edge of edges) {
+      const attributes = [`weight=${edge.count}`];
+      if (edge.nofollow) attributes.push('style=dashed');
+      lines.push(`  ${dotString(edge.source)} -> ${dotString(edge.target)} [${attributes.join(', ')}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
+
+module.exports = { LinkGraph };
@@ -0,0 +1,172 @@
+/**
+ * LINK EXTRACTION
+ *
+ * Finds every URL an HTML page refers to and describes where it came from:
+ *
+ *   { url, type, element, attribute, text, rel, nofollow }
+ *
+ * Sources: a/area[href], link[href], iframe/frame[src], meta refresh,
+ * form[action], img[src], img/source[srcset], script[src] and url() /
+ * @import inside <style> blocks and style attributes. Relative URLs are
+ * resolved against <base href> when the page declares one.
+ *
+ * type is 'navigation' for links to other documents (anchors, areas, frames,
+ * meta refresh, <link rel="alternate|next|prev|canonical">), 'form' for form
+ * targets and 'resource' for images, scripts, CSS references and the other
+ * <link>s (stylesheets, icons, preloads, manifests, ...).
+ */
+
+const SOURCES = [
+  { selector: 'a[href]', attribute: 'href', type: 'navigation' },
+  { selector: 'area[href]', attribute: 'href', type: 'navigation' },
+  { selector: 'link[href]', attribute: 'href', type: 'resource' }, // See linkRelType()
+  { selector: 'iframe[src], frame[src]', attribute: 'src', type: 'navigation' },
+  { selector: 'form[action]', attribute: 'action', type: 'form' },
+  { selector: 'img[src]', attribute: 'src', type: 'resource' },
+  { selector: 'script[src]', attribute: 'src', type: 'resource' },
+];
+
+// <link> relations that point to another document rather than a subresource
+const NAVIGATION_LINK_RELS = ['alternate', 'next', 'prev', 'canonical'];
+
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/gi;
+
+/**
+ * URLs of a srcset attribute ("a.png 1x, b.png 2x"), tokenized as in the
+ * HTML spec so URLs may contain commas
+ */
+function parseSrcset(srcset) {
+  const urls = [];
+  let position = 0;
+  while (position < srcset.length) {
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+    let end = position;
+    while (end < srcset.length && !/\s/.test(srcset[end])) end++;
+    let url = srcset.slice(position, end);
+    position = end;
+
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      // Skip the descriptors ("1x", "300w") up to the next comma
+      let parens = 0;
+      while (position < srcset.length && (srcset[position] !== ',' || parens > 0)) {
+        if (srcset[position] === '(') parens++;
+        if (srcset[position] === ')') parens--;
+        position++;
+      }
+    }
+    if (url) urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * URLs referenced from CSS text (url(...) and @import)
+ */
+function parseCssUrls(css) {
+  const urls = [];
+  for (const match of css.matchAll(CSS_URL_PATTERN)) {
+    urls.push((match[2] || match[4]).trim());
+  }
+  return urls;
+}
+
+/**
+ * Target of <meta http-equiv="refresh" content="5; url=/next">
+ */
+function parseMetaRefresh(content) {
+  const match = /url\s*=\s*['"]?([^'"]+)['"]?/i.exec(content || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Type of a <link> by its rel values ("alternate stylesheet" is a resource)
+ */
+function linkRelType(rel) {
+  const navigation = rel.some((value) => NAVIGATION_LINK_RELS.includes(value)) && !rel.includes('stylesheet');
+  return navigation ? 'navigation' : 'resource';
+}
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Every http(s) link on a loaded page, with absolute (not canonicalized) URLs
+ */
+function extractLinks($, pageUrl) {
+  const baseHref = $('base[href]').first().attr('href');
+  let base = pageUrl;
+  if (baseHref) {
+    try {
+      base = new URL(baseHref, pageUrl).href;
+    } catch {
+      // Ignore a malformed <base>
+    }
+  }
+
+  // <meta name="robots" content="nofollow"> applies to every link on the page
+  const robotsMeta = ($('meta[name="robots" i]').attr('content') || '').toLowerCase();
+  const pageNofollow = /\b(nofollow|none)\b/.test(robotsMeta);
+
+  const links = [];
+  const add = (href, details) => {
+    let url;
+    try {
+      url = new URL(href, base).href;
+    } catch {
+      return; // Skip invalid URLs
+    }
+    if (!url.startsWith('http')) return;
+
+    const rel = details.rel || [];
+    links.push({
+      url,
+      type: details.type,
+      element: details.element,
+      attribute: details.attribute,
+      text: details.text || '',
+      rel,
+      nofollow: pageNofollow || rel.includes('nofollow'),
+    });
+  };
+
+  for (const { selector, attribute, type } of SOURCES) {
+    $(selector).each((_, el) => {
+      const $el = $(el);
+      const element = el.tagName.toLowerCase();
+      const rel = ($el.attr('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+      const text = element === 'a' ? cleanText($el.text()) : cleanText($el.attr('alt') || $el.attr('title'));
+      add($el.attr(attribute), { type: element === 'link' ? linkRelType(rel) : type, element, attribute, text, rel });
+    });
+  }
+
+  $('img[srcset], source[srcset]').each((_, el) => {
+    const $el = $(el);
+    for (const src of parseSrcset($el.attr('srcset'))) {
+      add(src, { type: 'resource', element: el.tagName.toLowerCase(), attribute: 'srcset', text: cleanText($el.attr('alt')) });
+    }
+  });
+
+  $('meta[http-equiv="refresh" i]').each((_, el) => {
+    const target = parseMetaRefresh($(el).attr('content'));
+    if (target) add(target, { element: 'meta', attribute: 'content', type: 'navigation' });
+  });
+
+  $('style').each((_, el) => {
+    for (const src of parseCssUrls($(el).text())) {
+      add(src, { type: 'resource', element: 'style', attribute: null });
+    }
+  });
+
+  $('[style]').each((_, el) => {
+    for (const src of parseCssUrls($(el).attr('style'))) {
+      add(src, { type: 'resource', element: el.tagName.toLowerCase(), attribute: 'style' });
+    }
+  });
+
+  return links;
+}
+
+module.exports = { extractLinks, parseSrcset, parseCssUrls, parseMetaRefresh };
@@ -0,0 +1,323 @@
+const http = require('http');
+
+/**
+ * CRAWL METRICS
+ *
+ * A small metrics registry (counters, gauges, histograms with labels) that
+ * renders the Prometheus text exposition format, the crawler's own metrics
+ * on top of it, and an optional HTTP endpoint serving them while a crawl runs:
+ *
+ *   GET /metrics   Prometheus text format
+ *   GET /status    JSON: progress, rates and per-host numbers
+ *
+ * Gauges may be given a collect() function, read at every scrape, so values
+ * owned elsewhere (queue size, results) never go stale.
+ */
+
+const TIME_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // seconds
+const SIZE_BUCKETS = [1024, 10240, 102400, 1048576, 10485760]; // bytes
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key -> value
+  }
+
+  key(labels = {}) {
+    return JSON.stringify(this.labelNames.map((label) => String(labels[label] ?? '')));
+  }
+
+  labelsOf(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]]));
+  }
+
+  get(labels) {
+    return this.values.get(this.key(labels)) ?? 0;
+  }
+
+  /**
+   * [{ labels, value }] for every label combination seen
+   */
+  entries() {
+    return Array.from(this.values, ([key, value]) => ({ labels: this.labelsOf(key), value }));
+  }
+
+  lines() {
+    return this.entries().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + value);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super(name, help, labelNames);
+    this.collect = collect; // () => number, read at scrape time
+  }
+
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+
+  entries() {
+    if (this.collect) return [{ labels: {}, value: Number(this.collect()) || 0 }];
+    return super.entries();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 });
+    }
+    const entry = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  get(labels) {
+    return this.values.get(this.key(labels)) ?? { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, value } of this.entries()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // name -> Metric
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * A gauge; with collect() its value is read when metrics are rendered
+   */
+  gauge(name, help, { labelNames, collect } = {}) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets = TIME_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Prometheus text exposition format (version 0.0.4)
+   */
+  toPrometheus() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Every metric as { type, help, values: [{ labels, value }] }
+   */
+  toJSON() {
+    return Object.fromEntries(
+      Array.from(this.metrics.values(), (metric) => [metric.name, { type: metric.type, help: metric.help, values: metric.entries() }])
+    );
+  }
+}
+
+/**
+ * The crawler's metrics. gauges maps gauge names to collect functions
+ * (queueSize, discoveredUrls, results, running, uptimeSeconds).
+ */
+class CrawlMetrics {
+  constructor({ gauges = {} } = {}) {
+    this.registry = new MetricsRegistry();
+    const r = this.registry;
+    this.requests = r.counter('crawler_requests_total', 'HTTP responses received (redirect hops included)', ['host', 'status']);
+    this.requestErrors = r.counter('crawler_request_errors_total', 'Requests that failed without a response', ['host', 'code']);
+    this.responseTime = r.histogram('crawler_response_time_seconds', 'Response time per request', ['host'], TIME_BUCKETS);
+    this.responseBytes = r.counter('crawler_response_bytes_total', 'Response body bytes received', ['host']);
+    this.responseSize = r.histogram('crawler_response_size_bytes', 'Response body size per request', [], SIZE_BUCKETS);
+    this.pages = r.counter('crawler_pages_total', 'Pages recorded, by final status', ['status']);
+    this.enqueued = r.counter('crawler_enqueued_total', 'URLs added to the queue', ['source']);
+    this.skipped = r.counter('crawler_skipped_total', 'URLs not crawled (scope, robots.txt, depth)', ['reason']);
+    this.retries = r.counter('crawler_retries_total', 'Attempts scheduled again', ['kind']);
+    this.deadLetters = r.counter('crawler_dead_letters_total', 'URLs that failed for good', ['kind']);
+
+    const gauge = (name, help, key) => gauges[key] && r.gauge(name, help, { collect: gauges[key] });
+    gauge('crawler_queue_size', 'URLs waiting in the queue', 'queueSize');
+    gauge('crawler_discovered_urls', 'Distinct URLs discovered', 'discoveredUrls');
+    gauge('crawler_results', 'Results recorded in this run', 'results');
+    gauge('crawler_running', '1 while the crawl runs', 'running');
+    gauge('crawler_uptime_seconds', 'Seconds since the crawl started', 'uptimeSeconds');
+
+    this.hosts = new Map(); // host -> { requests, errors, bytes, totalTime }
+  }
+
+  /**
+   * One request/response exchange with a host
+   */
+  recordResponse(host, { status, responseTime, bytes }) {
+    this.requests.inc({ host, status });
+    this.responseTime.observe({ host }, responseTime / 1000);
+    this.responseBytes.inc({ host }, bytes);
+    this.responseSize.observe({}, bytes);
+    const stats = this.hostStats(host);
+    stats.requests++;
+    stats.bytes += bytes;
+    stats.totalTime += responseTime;
+  }
+
+  recordRequestError(host, code) {
+    this.requestErrors.inc({ host, code: code || 'unknown' });
+    this.hostStats(host).errors++;
+  }
+
+  hostStats(host) {
+    if (!this.hosts.has(host)) this.hosts.set(host, { requests: 0, errors: 0, bytes: 0, totalTime: 0 });
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Per-host totals and rates over the given number of seconds
+   */
+  hostSummary(seconds) {
+    const summary = {};
+    for (const [host, stats] of this.hosts) {
+      summary[host] = {
+        requests: stats.requests,
+        errors: stats.errors,
+        bytes: stats.bytes,
+        avgResponseTime: stats.requests ? Math.round(stats.totalTime / stats.requests) : null,
+        requestsPerSecond: seconds > 0 ? Number((stats.requests / seconds).toFixed(2)) : 0,
+        bytesPerSecond: seconds > 0 ? Math.round(stats.bytes / seconds) : 0,
+      };
+    }
+    return summary;
+  }
+
+  toPrometheus() {
+    return this.registry.toPrometheus();
+  }
+
+  toJSON() {
+    return this.registry.toJSON();
+  }
+}
+
+/**
+ * HTTP endpoint for a crawler's metrics (/metrics) and status (/status)
+ */
+class MetricsServer {
+  constructor(crawler, options = {}) {
+    this.crawler = crawler;
+    this.port = Number(options.port ?? 0); // 0 = any free port
+    this.host = options.host ?? '127.0.0.1';
+    this.server = null;
+  }
+
+  /**
+   * Start listening; resolves to the base URL
+   */
+  async start() {
+    if (this.server) return this.url;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    this.url = `http://${this.host}:${this.port}`;
+    return this.url;
+  }
+
+  handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method !== 'GET') {
+        res.writeHead(405, { Allow: 'GET' }).end();
+      } else if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(this.crawler.metrics.toPrometheus());
+      } else if (pathname === '/status' || pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(this.crawler.getStatus(), null, 2));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found: try /metrics or /status\n');
+      }
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' }).end(`${error.message}\n`);
+    }
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, CrawlMetrics, MetricsServer };
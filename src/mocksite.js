@@ -0,0 +1,138 @@
+const http = require('http');
+
+/**
+ * MOCK SITE
+ *
+ * An in-process HTTP server built from a declarative site description, so
+ * crawls can be tested offline and deterministically:
+ *
+ *   const site = new MockSite({
+ *     robots: 'User-agent: *\nDisallow: /private/',
+ *     pages: {
+ *       '/': { title: 'Home', links: ['/a', { href: '/b', text: 'B', rel: 'nofollow' }] },
+ *       '/a': { delay: 300 },
+ *       '/old': { redirect: '/a', status: 301 },
+ *       '/flaky': { status: [503, 503, 200] },
+ *       '/feed.xml': { contentType: 'application/rss+xml', body: '<rss>...</rss>' },
+ *     },
+ *   });
+ *   const base = await site.start();
+ *
+ * Page fields (all optional):
+ *   title, links  - rendered into an HTML page (links are hrefs or
+ *                   { href, text, rel })
+ *   body          - the response body instead (string, Buffer or
+ *                   function(req) returning one)
+ *   status        - status code, or a list used one per request (the last
+ *                   one repeats), e.g. to fail before succeeding
+ *   delay         - ms before answering (a number or a list, like status)
+ *   redirect      - Location of a redirect (status defaults to 302)
+ *   contentType   - Content-Type (default text/html)
+ *   headers       - extra response headers
+ *
+ * robots is the robots.txt body (none: 404). Unknown paths answer 404.
+ * Every request is logged in site.requests ({ method, path, headers, time }).
+ */
+
+class MockSite {
+  constructor(description = {}) {
+    this.pages = description.pages || {};
+    this.robots = description.robots ?? null;
+    this.host = description.host ?? '127.0.0.1';
+    this.requests = [];
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Start listening on a free port; resolves to the base URL
+   */
+  async start() {
+    if (this.server) return this.baseUrl;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, this.host, resolve);
+    });
+    this.baseUrl = `http://${this.host}:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  /**
+   * Absolute URL of a path on the site
+   */
+  url(path = '/') {
+    return new URL(path, this.baseUrl).href;
+  }
+
+  /**
+   * Number of requests for a path (query included)
+   */
+  hits(path) {
+    return this.requests.filter((request) => request.path === path).length;
+  }
+
+  handle(req, res) {
+    const path = req.url;
+    const count = this.hits(path); // Earlier requests for this path
+    this.requests.push({ method: req.method, path, headers: req.headers, time: Date.now() });
+
+    if (path === '/robots.txt' && !this.pages[path]) {
+      res.writeHead(this.robots === null ? 404 : 200, { 'Content-Type': 'text/plain' });
+      res.end(this.robots ?? '');
+      return;
+    }
+
+    const page = this.pages[path];
+    if (!page) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<html><head><title>Not found</title></head><body>Not found</body></html>');
+      return;
+    }
+
+    const respond = () => {
+      if (res.destroyed) return;
+      const headers = { 'Content-Type': page.contentType || 'text/html; charset=utf-8', ...page.headers };
+      const status = pick(page.status, count) ?? (page.redirect ? 302 : 200);
+      if (page.redirect) headers['Location'] = page.redirect;
+      res.writeHead(status, headers);
+      res.end(req.method === 'HEAD' ? undefined : MockSite.render(page, req));
+    };
+    const delay = pick(page.delay, count) || 0;
+    if (delay > 0) setTimeout(respond, delay);
+    else respond();
+  }
+
+  /**
+   * Body of a page: its body, or HTML with its title and links
+   */
+  static render(page, req) {
+    if (page.body !== undefined) return typeof page.body === 'function' ? page.body(req) : page.body;
+    if (page.redirect) return '';
+    const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const links = (page.links || []).map((link) => {
+      const { href, text = href, rel } = typeof link === 'string' ? { href: link } : link;
+      return `<a href="${escape(href)}"${rel ? ` rel="${escape(rel)}"` : ''}>${escape(text)}</a>`;
+    });
+    const title = page.title ?? '';
+    return `<html><head><title>${escape(title)}</title></head><body><h1>${escape(title)}</h1>\n${links.join('\n')}\n</body></html>`;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+/**
+ * The value for the nth request: a single value, or a list whose last entry repeats
+ */
+function pick(value, index) {
+  if (!Array.isArray(value)) return value;
+  return value[Math.min(index, value.length - 1)];
+}
+
+module.exports = { MockSite };
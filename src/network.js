@@ -0,0 +1,477 @@
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { CrawlScope } = require('./scope');
+
+/**
+ * NETWORK
+ *
+ * How requests reach the network: proxies, TLS and host resolution.
+ *
+ *   proxy          - proxy URL, or a pool of them rotated across requests:
+ *                    http://[user:pass@]host:port, https://... (TLS to the
+ *                    proxy) or socks5://... (socks5h:// lets the proxy resolve
+ *                    names; socks:// is socks5h)
+ *   proxyRules     - [{ hosts, proxy }]: per-host proxies, first match wins;
+ *                    hosts are globs ('*.corp.example.com') and proxy a URL,
+ *                    a pool or 'direct'
+ *   proxyRotation  - 'request' (round robin per request) or 'host' (each host
+ *                    keeps the proxy it was first given)
+ *   tls            - { ca, cert, key, pfx, passphrase, insecureSkipVerify }:
+ *                    ca is trusted in addition to the built-in roots; cert/key
+ *                    or pfx is the client certificate for mutual TLS; values
+ *                    are PEM text, Buffers or file paths
+ *   dnsOverrides   - { hostname: ip } used instead of DNS
+ *   dnsCacheTtl    - how long DNS answers are reused (ms, 0 = no cache)
+ *
+ * HTTPS through an HTTP proxy uses a CONNECT tunnel; plain HTTP is forwarded
+ * (and the proxy resolves the name). A failed proxy connection is a network
+ * error, so the retry goes through the next proxy of the pool.
+ */
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks5:', 'socks5h:'];
+const DEFAULT_PROXY_PORTS = { 'http:': 80, 'https:': 443, 'socks:': 1080, 'socks5:': 1080, 'socks5h:': 1080 };
+
+/**
+ * dns.lookup replacement with static overrides and a TTL cache, for
+ * http.Agent's lookup option
+ */
+class DnsCache {
+  constructor(options = {}) {
+    this.overrides = new Map(Object.entries(options.overrides || {}).map(([host, ip]) => [host.toLowerCase(), ip]));
+    this.ttl = options.ttl ?? 60000;
+    this.cache = new Map(); // hostname -> { expires, addresses: Promise<[{ address, family }]> }
+    for (const [host, ip] of this.overrides) {
+      if (!net.isIP(ip)) throw new Error(`dnsOverrides: ${host} must map to an IP address, not ${ip}`);
+    }
+    this.lookup = this.lookup.bind(this);
+  }
+
+  /**
+   * Addresses of a hostname: [{ address, family }]
+   */
+  resolve(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const override = this.overrides.get(host);
+    if (override) return Promise.resolve([{ address: override, family: net.isIP(override) }]);
+    if (net.isIP(host)) return Promise.resolve([{ address: host, family: net.isIP(host) }]);
+
+    const cached = this.cache.get(host);
+    if (cached && cached.expires > Date.now()) return cached.addresses;
+
+    const addresses = dns.promises.lookup(host, { all: true });
+    if (this.ttl > 0) {
+      this.cache.set(host, { expires: Date.now() + this.ttl, addresses });
+      addresses.catch(() => this.cache.delete(host)); // Failures are not cached
+    }
+    return addresses;
+  }
+
+  /**
+   * Same signature as dns.lookup(hostname, options, callback)
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') [callback, options] = [options, {}];
+    if (typeof options === 'number') options = { family: options };
+    this.resolve(hostname).then(
+      (addresses) => {
+        const family = options.family === 'IPv4' ? 4 : options.family === 'IPv6' ? 6 : options.family;
+        const matching = family ? addresses.filter((entry) => entry.family === family) : addresses;
+        if (matching.length === 0) {
+          const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+          error.code = 'ENOTFOUND';
+          error.hostname = hostname;
+          callback(error);
+        } else if (options.all) {
+          callback(null, matching);
+        } else {
+          callback(null, matching[0].address, matching[0].family);
+        }
+      },
+      (error) => callback(error)
+    );
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+class Network {
+  constructor(options = {}, { log = () => {} } = {}) {
+    this.connectTimeout = options.connectTimeout ?? 10000; // Proxy handshake limit (ms)
+    this.rotation = options.proxyRotation ?? 'request';
+    if (!['request', 'host'].includes(this.rotation)) {
+      throw new Error(`Unknown proxy rotation: ${this.rotation} (expected request or host)`);
+    }
+    this.dnsCache = new DnsCache({ overrides: options.dnsOverrides, ttl: options.dnsCacheTtl });
+    this.tlsConfig = options.tls || {};
+    this.tlsOptions = Network.loadTlsOptions(this.tlsConfig);
+    if (this.tlsConfig.insecureSkipVerify) {
+      log('[TLS] WARNING: certificate verification is disabled (tls.insecureSkipVerify) - responses may be intercepted');
+    }
+
+    this.defaultPool = Network.createPool(options.proxy);
+    this.rules = (options.proxyRules || []).map((rule) => {
+      const hosts = [].concat(rule.hosts ?? rule.host ?? []);
+      if (hosts.length === 0) throw new Error('proxyRules entries need hosts');
+      return { hosts, regexes: hosts.map((host) => CrawlScope.compileGlob(host.toLowerCase())), pool: Network.createPool(rule.proxy) };
+    });
+    this.usesProxies = this.defaultPool.proxies.length > 0 || this.rules.some((rule) => rule.pool.proxies.length > 0);
+
+    this.stickyProxies = new Map(); // host -> proxy, for 'host' rotation
+    this.agents = new Map(); // proxy href (or 'direct') -> { http, https }
+  }
+
+  /**
+   * A pool from a proxy setting: URL, [URLs], 'direct' or null
+   */
+  static createPool(spec) {
+    const specs = [].concat(spec ?? []).filter((entry) => entry && entry !== 'direct');
+    const proxies = specs.map((entry) => {
+      let proxy;
+      try {
+        proxy = new URL(entry);
+      } catch {
+        throw new Error(`Invalid proxy URL: ${entry}`);
+      }
+      if (!PROXY_PROTOCOLS.includes(proxy.protocol)) {
+        throw new Error(`Unsupported proxy protocol: ${proxy.protocol} (expected http, https, socks5 or socks5h)`);
+      }
+      return proxy;
+    });
+    return { proxies, next: 0 };
+  }
+
+  /**
+   * TLS options for https.Agent from tls config (files read once, here)
+   */
+  static loadTlsOptions(config) {
+    const load = (value, binary = false) => {
+      if (value === undefined || value === null) return undefined;
+      if (Array.isArray(value)) return value.map((item) => load(item, binary));
+      if (Buffer.isBuffer(value) || value.includes('-----BEGIN')) return value;
+      return binary ? fs.readFileSync(value) : fs.readFileSync(value, 'utf8');
+    };
+    const ca = load(config.ca);
+    const options = {
+      ca: ca ? [...tls.rootCertificates, ...[].concat(ca)] : undefined,
+      cert: load(config.cert),
+      key: load(config.key),
+      pfx: load(config.pfx, true),
+      passphrase: config.passphrase,
+      rejectUnauthorized: !config.insecureSkipVerify,
+    };
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Values that must never be written out (keys given inline, passphrases)
+   */
+  secrets() {
+    const { key, passphrase } = this.tlsConfig;
+    const inlineKeys = [].concat(key ?? []).filter((value) => typeof value === 'string' && value.includes('-----BEGIN'));
+    return [...inlineKeys, passphrase].filter((value) => typeof value === 'string' && value);
+  }
+
+  /**
+   * How to request a URL: { proxy, options } - proxy is the proxy URL used
+   * (without credentials) or null, options the axios agent/proxy options
+   */
+  route(url) {
+    const target = new URL(url);
+    const proxy = this.selectProxy(target.hostname.toLowerCase());
+    const agents = this.agentsFor(proxy);
+    if (!proxy) {
+      return { proxy: null, options: { httpAgent: agents.http, httpsAgent: agents.https, ...(this.usesProxies && { proxy: false }) } };
+    }
+
+    const label = `${proxy.protocol}//${proxy.host}`;
+    if (proxy.protocol.startsWith('socks') || target.protocol === 'https:') {
+      return { proxy: label, options: { httpAgent: agents.http, httpsAgent: agents.https, proxy: false } };
+    }
+    // Plain HTTP goes to the proxy as an absolute-URL request
+    const direct = this.agentsFor(null);
+    return {
+      proxy: label,
+      options: {
+        httpAgent: direct.http,
+        httpsAgent: direct.https,
+        proxy: {
+          protocol: proxy.protocol.slice(0, -1),
+          host: proxy.hostname,
+          port: Number(proxy.port) || DEFAULT_PROXY_PORTS[proxy.protocol],
+          ...(proxy.username && {
+            auth: { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) },
+          }),
+        },
+      },
+    };
+  }
+
+  /**
+   * Proxy for a host (URL) or null for a direct connection
+   */
+  selectProxy(host) {
+    const rule = this.rules.find((candidate) => candidate.regexes.some((regex) => regex.test(host)));
+    const pool = rule ? rule.pool : this.defaultPool;
+    if (pool.proxies.length <= 1) return pool.proxies[0] || null;
+
+    if (this.rotation === 'host') {
+      const sticky = this.stickyProxies.get(host);
+      if (sticky && pool.proxies.includes(sticky)) return sticky;
+    }
+    const proxy = pool.proxies[pool.next];
+    pool.next = (pool.next + 1) % pool.proxies.length;
+    if (this.rotation === 'host') this.stickyProxies.set(host, proxy);
+    return proxy;
+  }
+
+  /**
+   * Keep-alive agents per proxy: direct, tunnelled through CONNECT or SOCKS
+   */
+  agentsFor(proxy) {
+    const key = proxy ? proxy.href : 'direct';
+    if (this.agents.has(key)) return this.agents.get(key);
+
+    const lookup = this.dnsCache.lookup;
+    const base = { keepAlive: true, lookup };
+    let agents;
+    if (!proxy) {
+      agents = { http: new http.Agent(base), https: new https.Agent({ ...base, ...this.tlsOptions }) };
+    } else {
+      const connect = (options) => this.openTunnel(proxy, options.host, Number(options.port));
+      agents = {
+        http: tunnelAgent(http.Agent, base, connect),
+        https: tunnelAgent(https.Agent, { ...base, ...this.tlsOptions }, connect, true),
+      };
+    }
+    this.agents.set(key, agents);
+    return agents;
+  }
+
+  /**
+   * A socket connected to host:port through a proxy
+   */
+  async openTunnel(proxy, host, port) {
+    // Overridden hosts are given to the proxy by address
+    const override = this.dnsCache.overrides.get(host.toLowerCase());
+    const targetHost = override || host;
+    const connecting = proxy.protocol.startsWith('socks')
+      ? this.socksConnect(proxy, targetHost, port)
+      : this.httpConnect(proxy, targetHost, port);
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Proxy ${proxy.host} did not connect to ${host}:${port} within ${this.connectTimeout}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, this.connectTimeout);
+    });
+    try {
+      return await Promise.race([connecting, timeout]);
+    } catch (error) {
+      connecting.then((socket) => socket.destroy(), () => {}); // A late tunnel is not used
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * CONNECT tunnel through an HTTP(S) proxy
+   */
+  httpConnect(proxy, host, port) {
+    const authority = net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+    const headers = { Host: authority };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    const transport = proxy.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        host: proxy.hostname,
+        port: Number(proxy.port) || DEFAULT_PROXY_PORTS[proxy.protocol],
+        method: 'CONNECT',
+        path: authority,
+        headers,
+        agent: false,
+        lookup: this.dnsCache.lookup,
+        ...(proxy.protocol === 'https:' && this.tlsOptions),
+      });
+      request.once('connect', (response, socket, head) => {
+        if (response.statusCode !== 200) {
+          socket.destroy();
+          const code = response.statusCode === 407 ? 'EPROXYAUTH' : 'EPROXY';
+          reject(proxyError(`Proxy ${proxy.host} refused CONNECT ${authority}: HTTP ${response.statusCode}`, code));
+          return;
+        }
+        if (head.length > 0) socket.unshift(head);
+        resolve(socket);
+      });
+      request.once('error', reject);
+      request.end();
+    });
+  }
+
+  /**
+   * SOCKS5 CONNECT (RFC 1928), with username/password auth (RFC 1929).
+   * socks5:// resolves the name here, socks5h:// leaves it to the proxy.
+   */
+  async socksConnect(proxy, host, port) {
+    let address = host;
+    if (proxy.protocol === 'socks5:' && !net.isIP(host)) {
+      address = (await this.dnsCache.resolve(host))[0].address;
+    }
+
+    const socket = net.connect({
+      host: proxy.hostname,
+      port: Number(proxy.port) || DEFAULT_PROXY_PORTS[proxy.protocol],
+      lookup: this.dnsCache.lookup,
+    });
+    const reader = new SocketReader(socket);
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('error', reject);
+      });
+
+      const username = decodeURIComponent(proxy.username);
+      const password = decodeURIComponent(proxy.password);
+      socket.write(Buffer.from(username ? [0x05, 0x02, 0x00, 0x02] : [0x05, 0x01, 0x00]));
+      const [version, method] = await reader.read(2);
+      if (version !== 0x05 || method === 0xff) throw proxyError(`SOCKS proxy ${proxy.host} accepts none of our auth methods`, 'EPROXYAUTH');
+      if (method === 0x02) {
+        const user = Buffer.from(username);
+        const pass = Buffer.from(password);
+        socket.write(Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]));
+        const [, status] = await reader.read(2);
+        if (status !== 0x00) throw proxyError(`SOCKS proxy ${proxy.host} rejected the credentials`, 'EPROXYAUTH');
+      }
+
+      let destination;
+      if (net.isIPv4(address)) {
+        destination = Buffer.from([0x01, ...address.split('.').map(Number)]);
+      } else if (net.isIPv6(address)) {
+        destination = Buffer.concat([Buffer.from([0x04]), ipv6Bytes(address)]);
+      } else {
+        const name = Buffer.from(address);
+        destination = Buffer.concat([Buffer.from([0x03, name.length]), name]);
+      }
+      socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), destination, Buffer.from([port >> 8, port & 0xff])]));
+
+      const [, reply, , addressType] = await reader.read(4);
+      if (reply !== 0x00) throw proxyError(`SOCKS proxy ${proxy.host} could not connect to ${host}:${port} (reply ${reply})`);
+      const boundLength = addressType === 0x01 ? 4 : addressType === 0x04 ? 16 : (await reader.read(1))[0];
+      await reader.read(boundLength + 2);
+      reader.release();
+      return socket;
+    } catch (error) {
+      socket.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Close idle connections
+   */
+  close() {
+    for (const agents of this.agents.values()) {
+      agents.http.destroy();
+      agents.https.destroy();
+    }
+    this.agents.clear();
+  }
+}
+
+/**
+ * An http(s).Agent whose connections are tunnels opened by connect(options);
+ * with tls the target's TLS session runs inside the tunnel
+ */
+function tunnelAgent(AgentClass, options, connect, secure = false) {
+  const agent = new AgentClass(options);
+  agent.createConnection = (connectionOptions, callback) => {
+    connect(connectionOptions).then(
+      (socket) => callback(null, secure ? tls.connect({ ...connectionOptions, socket }) : socket),
+      (error) => callback(error)
+    );
+  };
+  return agent;
+}
+
+/**
+ * Reads exact byte counts from a socket during a handshake
+ */
+class SocketReader {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.waiting = null; // { size, resolve, reject }
+    this.onData = (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.check();
+    };
+    this.onEnd = () => this.fail(proxyError('SOCKS proxy closed the connection'));
+    this.onError = (error) => this.fail(error);
+    socket.on('data', this.onData);
+    socket.on('end', this.onEnd);
+    socket.on('error', this.onError);
+  }
+
+  read(size) {
+    return new Promise((resolve, reject) => {
+      this.waiting = { size, resolve, reject };
+      this.check();
+    });
+  }
+
+  check() {
+    if (!this.waiting || this.buffer.length < this.waiting.size) return;
+    const { size, resolve } = this.waiting;
+    this.waiting = null;
+    const bytes = this.buffer.subarray(0, size);
+    this.buffer = this.buffer.subarray(size);
+    resolve(bytes);
+  }
+
+  fail(error) {
+    if (!this.waiting) return;
+    const { reject } = this.waiting;
+    this.waiting = null;
+    reject(error);
+  }
+
+  /**
+   * Hand the socket over: stop listening, return unread bytes to it
+   */
+  release() {
+    this.socket.off('data', this.onData);
+    this.socket.off('end', this.onEnd);
+    this.socket.off('error', this.onError);
+    if (this.buffer.length > 0) this.socket.unshift(this.buffer);
+  }
+}
+
+function ipv6Bytes(address) {
+  const [head, tail = ''] = address.split('::');
+  const groups = (part) => (part ? part.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const all = [...groups(head), ...Array(address.includes('::') ? missing : 0).fill('0'), ...groups(tail)];
+  return Buffer.from(all.flatMap((group) => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]));
+}
+
+/**
+ * A proxy failure: EPROXY, or EPROXYAUTH when the proxy rejected our credentials
+ */
+function proxyError(message, code = 'EPROXY') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = { Network, DnsCache };
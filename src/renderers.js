@@ -0,0 +1,151 @@
+const { CrawlScope } = require('./scope');
+
+/**
+ * RENDERERS
+ *
+ * A renderer turns a URL into the HTML the crawler parses:
+ *   http    - (default) the crawler's own HTTP fetch: server-rendered HTML only
+ *   browser - a locally installed headless Chrome/Chromium driven by puppeteer
+ *             (or puppeteer-core with executablePath): runs the page's
+ *             JavaScript, waits for network idle and returns the rendered DOM
+ *
+ * Custom renderers are objects { name, render(request), close() }.
+ * render({ url, userAgent, timeout, headersFor }) resolves to
+ * { url, status, headers, body, redirectChain } - url after redirects, body the
+ * rendered HTML. headersFor(requestUrl) gives the session headers (cookies,
+ * credentials) for each request the page makes.
+ *
+ * renderRules pick a renderer per URL ({ pattern, renderer }, first match
+ * wins); patterns are globs or RegExps as in scope.js.
+ */
+
+const BROWSER_DRIVERS = ['puppeteer', 'puppeteer-core'];
+
+class BrowserRenderer {
+  constructor(options = {}) {
+    this.name = 'browser';
+    this.executablePath = options.executablePath ?? process.env.CHROME_PATH ?? undefined;
+    this.waitUntil = options.waitUntil ?? 'networkidle0'; // No network requests for 500ms
+    this.launchOptions = options.launchOptions ?? {};
+    this.browser = null; // Promise<Browser>, launched on first render
+  }
+
+  /**
+   * The installed puppeteer module, or null
+   */
+  static loadDriver() {
+    for (const name of BROWSER_DRIVERS) {
+      try {
+        return require(name);
+      } catch {
+        // Try the next driver
+      }
+    }
+    return null;
+  }
+
+  static isAvailable() {
+    return BrowserRenderer.loadDriver() !== null;
+  }
+
+  launch() {
+    if (!this.browser) {
+      const driver = BrowserRenderer.loadDriver();
+      if (!driver) {
+        return Promise.reject(
+          new Error(`The browser renderer needs ${BROWSER_DRIVERS.join(' or ')} (with executablePath for puppeteer-core)`)
+        );
+      }
+      this.browser = driver.launch({ headless: true, executablePath: this.executablePath, ...this.launchOptions });
+      // A failed launch may be retried on the next render
+      this.browser.catch(() => {
+        this.browser = null;
+      });
+    }
+    return this.browser;
+  }
+
+  async render({ url, userAgent, timeout, headersFor = () => ({}) }) {
+    const browser = await this.launch();
+    const page = await browser.newPage();
+    try {
+      if (userAgent) await page.setUserAgent(userAgent);
+
+      // Session headers per request, so credentials never go to third-party hosts
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+        let extra = {};
+        try {
+          extra = headersFor(request.url());
+        } catch {
+          // Not an http(s) URL (data:, blob:)
+        }
+        request.continue({ headers: { ...request.headers(), ...lowerCaseKeys(extra) } });
+      });
+
+      const response = await page.goto(url, { waitUntil: this.waitUntil, timeout });
+      if (!response) throw new Error(`No response rendering ${url}`);
+
+      const headers = { ...response.headers() };
+      // puppeteer joins repeated Set-Cookie headers with newlines
+      if (headers['set-cookie']) headers['set-cookie'] = headers['set-cookie'].split('\n');
+
+      return {
+        url: page.url(),
+        status: response.status(),
+        headers,
+        body: await page.content(),
+        redirectChain: response.request().redirectChain().map((request) => ({
+          url: request.url(),
+          status: request.response()?.status() ?? null,
+          location: request.response()?.headers().location ?? null,
+        })),
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async close() {
+    if (!this.browser) return;
+    const browser = this.browser;
+    this.browser = null;
+    await (await browser).close();
+  }
+}
+
+function lowerCaseKeys(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Resolve one renderer setting: 'http' (null = built-in fetch), 'browser'
+ * or a custom { name, render } object
+ */
+function resolveRenderer(spec, browserOptions, shared) {
+  if (spec === 'http' || spec === null || spec === undefined) return null;
+  if (spec === 'browser') {
+    shared.browser = shared.browser || new BrowserRenderer(browserOptions);
+    return shared.browser;
+  }
+  if (spec && typeof spec.render === 'function' && spec.name) return spec;
+  throw new Error(`Unknown renderer: ${spec} (expected 'http', 'browser' or { name, render })`);
+}
+
+/**
+ * Resolve the configured default renderer and per-URL rules into
+ * { defaultRenderer, rules: [{ label, test(url), renderer }], renderers }
+ */
+function resolveRenderers({ renderer = 'http', renderRules = [], browser = {} } = {}) {
+  const shared = {}; // One browser for every rule that asks for it
+  const defaultRenderer = resolveRenderer(renderer, browser, shared);
+  const rules = renderRules.map((rule) => {
+    const { label, test } = CrawlScope.compileRule(rule.pattern);
+    return { label, test, renderer: resolveRenderer(rule.renderer, browser, shared) };
+  });
+  const renderers = Array.from(new Set([defaultRenderer, ...rules.map((rule) => rule.renderer)].filter(Boolean)));
+  return { defaultRenderer, rules, renderers };
+}
+
+module.exports = { BrowserRenderer, resolveRenderers };
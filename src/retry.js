@@ -0,0 +1,97 @@
+const { parseRetryAfter } = require('./scheduler');
+
+/**
+ * RETRY POLICY
+ *
+ * Classifies a failed fetch and decides whether and when to try again:
+ *
+ *   kind          retried?  examples
+ *   timeout       yes       ECONNABORTED, ETIMEDOUT, HTTP 408
+ *   network       yes       ECONNRESET, ECONNREFUSED, EAI_AGAIN (socket-level codes)
+ *   rate-limit    yes       HTTP 429 (Retry-After honored)
+ *   server        yes       HTTP 500, 502, 503, 504, ...
+ *   dns           no        ENOTFOUND (host does not exist)
+ *   tls           no        CERT_HAS_EXPIRED, ERR_TLS_CERT_ALTNAME_INVALID, ...
+ *   proxy-auth    no        EPROXYAUTH (proxy rejected the credentials)
+ *   exception     no        errors without a socket-level code (parser bugs, ...)
+ *   client        no        HTTP 4xx other than 408/429, HTTP 501/505
+ *
+ * Delays grow exponentially from baseDelay with "equal jitter" (half fixed,
+ * half random) so retries from many workers do not arrive in lockstep. A
+ * Retry-After longer than maxRetryAfter is not waited for: the URL fails.
+ */
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const PERMANENT_DNS_CODES = ['ENOTFOUND'];
+const PROXY_AUTH_CODES = ['EPROXYAUTH'];
+// Certificate verification failures (OpenSSL and Node TLS codes)
+const CERTIFICATE_CODE = /CERT|^UNABLE_TO_(GET|VERIFY)_|^ERR_TLS_|^ERR_SSL_/;
+// errno-style socket codes (ECONNRESET, EPIPE, EAI_AGAIN, ...), not Node's ERR_*
+const SOCKET_CODE = /^E(?!RR_)[A-Z0-9_]+$/;
+const PERMANENT_SERVER_STATUSES = [501, 505];
+
+class RetryPolicy {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 30000;
+    this.maxRetryAfter = options.maxRetryAfter ?? 300000;
+    this.random = options.random ?? Math.random;
+  }
+
+  /**
+   * Classify a fetch outcome: pass { status } for a response, { error } for a throw.
+   * Returns { kind, retryable } (kind is null when the outcome is not a failure).
+   */
+  classify({ status, error }) {
+    if (error) {
+      const code = error.code || '';
+      if (TIMEOUT_CODES.includes(code) || /timeout/i.test(error.message || '')) {
+        return { kind: 'timeout', retryable: true };
+      }
+      if (PERMANENT_DNS_CODES.includes(code)) {
+        return { kind: 'dns', retryable: false };
+      }
+      if (PROXY_AUTH_CODES.includes(code)) {
+        return { kind: 'proxy-auth', retryable: false };
+      }
+      if (CERTIFICATE_CODE.test(code)) {
+        return { kind: 'tls', retryable: false };
+      }
+      if (SOCKET_CODE.test(code)) {
+        return { kind: 'network', retryable: true };
+      }
+      return { kind: 'exception', retryable: false };
+    }
+
+    if (status === 408) return { kind: 'timeout', retryable: true };
+    if (status === 429) return { kind: 'rate-limit', retryable: true };
+    if (status >= 500) {
+      return { kind: 'server', retryable: !PERMANENT_SERVER_STATUSES.includes(status) };
+    }
+    if (status >= 400) return { kind: 'client', retryable: false };
+    return { kind: null, retryable: false };
+  }
+
+  /**
+   * Should a retryable failure on this attempt (0 = first try) be retried?
+   * Not when the server asks to wait longer than maxRetryAfter.
+   */
+  shouldRetry(failure, attempt, retryAfter) {
+    if (!failure.retryable || attempt >= this.maxRetries) return false;
+    return (parseRetryAfter(retryAfter) ?? 0) <= this.maxRetryAfter;
+  }
+
+  /**
+   * Delay before retry number attempt + 1, at least as long as Retry-After
+   * (up to maxRetryAfter)
+   */
+  delay(attempt, retryAfter) {
+    const exponential = Math.min(this.baseDelay * Math.pow(2, attempt), this.maxDelay);
+    const jittered = exponential / 2 + this.random() * (exponential / 2);
+    const retryAfterMs = Math.min(parseRetryAfter(retryAfter) ?? 0, this.maxRetryAfter);
+    return Math.round(Math.max(jittered, retryAfterMs));
+  }
+}
+
+module.exports = { RetryPolicy };
@@ -0,0 +1,190 @@
+/**
+ * ROBOTS.TXT SUPPORT
+ *
+ * Parses robots.txt files (RFC 9309) and answers allow/disallow questions
+ * for a given user agent. Supports:
+ * - Grouped user-agent records (several User-agent lines share one group),
+ *   matched case-insensitively against the product tokens of our user agent
+ * - Allow / Disallow with "*" wildcards and "$" end anchors
+ * - Longest-match precedence, Allow wins ties
+ * - Crawl-delay (non-standard, but widely used)
+ * - Sitemap directives
+ */
+
+class RobotsTxt {
+  constructor(text = '') {
+    this.groups = [];
+    this.sitemaps = [];
+    this.parse(text);
+  }
+
+  /**
+   * Parse robots.txt content into user-agent groups
+   */
+  parse(text) {
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const sep = line.indexOf(':');
+      if (sep === -1) continue;
+
+      const field = line.slice(0, sep).trim().toLowerCase();
+      const value = line.slice(sep + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines belong to the same group
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(current);
+        }
+        // "Googlebot/2.1" names the product token "googlebot"
+        current.agents.push(value.split('/')[0].trim().toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+        continue;
+      }
+
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means "allow everything" and adds no rule
+        if (!value) continue;
+        current.rules.push({
+          allow: field === 'allow',
+          path: value,
+          pattern: RobotsTxt.compilePattern(value),
+        });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+  }
+
+  /**
+   * Convert a robots.txt path pattern into a RegExp
+   */
+  static compilePattern(pathPattern) {
+    const anchored = pathPattern.endsWith('$');
+    const body = anchored ? pathPattern.slice(0, -1) : pathPattern;
+    const source = body
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp('^' + source + (anchored ? '$' : ''));
+  }
+
+  /**
+   * Product tokens of a User-Agent header, lower-cased: the name of every
+   * name/version product (also inside comments) except the generic
+   * "Mozilla", or the whole value when it is a bare token.
+   *   'Mozilla/5.0 (IPFabric-Crawler/1.0)' -> ['ipfabric-crawler']
+   */
+  static productTokens(userAgent) {
+    const ua = String(userAgent || '').trim().toLowerCase();
+    if (/^[a-z0-9_-]+$/.test(ua)) return [ua];
+    return Array.from(ua.matchAll(/([a-z0-9_-]+)\/[^\s;()]*/g), (match) => match[1]).filter((token) => token !== 'mozilla');
+  }
+
+  /**
+   * Merge all groups that apply to the user agent. A group applies when its
+   * user-agent equals one of our product tokens (case-insensitively); the
+   * longest such token wins, "*" is the fallback.
+   */
+  getGroup(userAgent) {
+    const tokens = RobotsTxt.productTokens(userAgent);
+    let bestToken = null;
+
+    for (const group of this.groups) {
+      for (const agent of group.agents) {
+        if (agent !== '*' && tokens.includes(agent)) {
+          if (!bestToken || agent.length > bestToken.length) bestToken = agent;
+        }
+      }
+    }
+
+    const token = bestToken || '*';
+    const matching = this.groups.filter((g) => g.agents.includes(token));
+    if (matching.length === 0) return null;
+
+    return {
+      agent: token,
+      rules: matching.flatMap((g) => g.rules),
+      crawlDelay: matching.map((g) => g.crawlDelay).find((d) => d !== null) ?? null,
+    };
+  }
+
+  /**
+   * Find the rule that decides access to a URL, or null if none applies
+   */
+  matchRule(urlString, userAgent) {
+    const group = this.getGroup(userAgent);
+    if (!group) return null;
+
+    let target;
+    try {
+      const url = new URL(urlString);
+      target = url.pathname + url.search;
+    } catch {
+      return null;
+    }
+
+    let best = null;
+    for (const rule of group.rules) {
+      if (!rule.pattern.test(target)) continue;
+      if (
+        !best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow && !best.allow)
+      ) {
+        best = rule;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Check if the user agent may fetch the URL
+   */
+  isAllowed(urlString, userAgent) {
+    const rule = this.matchRule(urlString, userAgent);
+    return !rule || rule.allow;
+  }
+
+  /**
+   * Crawl-delay in milliseconds for the user agent (null if unset)
+   */
+  getCrawlDelay(userAgent) {
+    const group = this.getGroup(userAgent);
+    if (!group || group.crawlDelay === null) return null;
+    return Math.round(group.crawlDelay * 1000);
+  }
+
+  /**
+   * robots.txt that allows everything (used for 4xx responses)
+   */
+  static allowAll() {
+    return new RobotsTxt('');
+  }
+
+  /**
+   * robots.txt that disallows everything (used for 5xx responses)
+   */
+  static disallowAll() {
+    return new RobotsTxt('User-agent: *\nDisallow: /');
+  }
+}
+
+module.exports = { RobotsTxt };
@@ -0,0 +1,174 @@
+const { EventEmitter } = require('events');
+
+/**
+ * PER-HOST POLITENESS SCHEDULER
+ *
+ * Tracks every host the crawler talks to and decides when the next request
+ * to it may start:
+ * - at most maxConnectionsPerHost requests in flight per host
+ * - at least max(minHostInterval, Crawl-delay, slow-host delay) between starts
+ * - 429/503 responses trigger exponential backoff (or Retry-After if longer);
+ *   successful responses halve the backoff until the host is back to normal
+ * - hosts slower than slowHostThreshold are paced by their response time and
+ *   recover after several fast responses in a row
+ *
+ * Events: 'host-backoff', 'host-slow', 'host-recovered'
+ */
+
+const RECOVERY_STREAK = 3; // fast responses needed to clear the slow mark
+const MAX_SLOW_DELAY = 10000;
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+class HostScheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxConnectionsPerHost = options.maxConnectionsPerHost ?? 2;
+    this.minHostInterval = options.minHostInterval ?? 0;
+    this.backoffBase = options.backoffBase ?? 1000;
+    this.maxBackoff = options.maxBackoff ?? 60000;
+    this.slowHostThreshold = options.slowHostThreshold ?? 15000;
+    this.hosts = new Map();
+  }
+
+  getHost(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        active: 0,
+        nextAllowedAt: 0,
+        backoffMs: 0,
+        crawlDelay: 0,
+        slow: false,
+        slowDelay: 0,
+        fastStreak: 0,
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Minimum gap between two request starts for the host
+   */
+  interval(host) {
+    const state = this.getHost(host);
+    return Math.max(this.minHostInterval, state.crawlDelay, state.slowDelay);
+  }
+
+  setCrawlDelay(host, ms) {
+    this.getHost(host).crawlDelay = ms || 0;
+  }
+
+  /**
+   * Can a request to the host start right now?
+   */
+  canStart(host, now = Date.now()) {
+    const state = this.getHost(host);
+    return state.active < this.maxConnectionsPerHost && now >= state.nextAllowedAt;
+  }
+
+  /**
+   * Milliseconds until the host may be ready (0 if ready now)
+   */
+  waitTime(host, now = Date.now()) {
+    const state = this.getHost(host);
+    return Math.max(0, state.nextAllowedAt - now);
+  }
+
+  /**
+   * Record a request start and push back the host's next slot
+   */
+  start(host, now = Date.now()) {
+    const state = this.getHost(host);
+    state.active++;
+    state.nextAllowedAt = Math.max(state.nextAllowedAt, now + this.interval(host));
+  }
+
+  /**
+   * Record a finished request. outcome: { status, responseTime, retryAfter }
+   * where status is undefined for network errors.
+   */
+  finish(host, outcome = {}, now = Date.now()) {
+    const state = this.getHost(host);
+    state.active = Math.max(0, state.active - 1);
+
+    const { status, responseTime, retryAfter } = outcome;
+
+    if (status === 429 || status === 503) {
+      const retryAfterMs = parseRetryAfter(retryAfter, now) ?? 0;
+      const doubled = state.backoffMs ? state.backoffMs * 2 : this.backoffBase;
+      state.backoffMs = Math.min(Math.max(doubled, retryAfterMs), this.maxBackoff);
+      state.nextAllowedAt = Math.max(state.nextAllowedAt, now + state.backoffMs);
+      this.emit('host-backoff', { host, status, delay: state.backoffMs });
+    } else if (status !== undefined && state.backoffMs) {
+      const halved = state.backoffMs / 2;
+      state.backoffMs = halved < this.backoffBase ? 0 : halved;
+      if (!state.backoffMs) this.emit('host-recovered', { host, reason: 'backoff' });
+    }
+
+    if (responseTime === undefined) return;
+
+    if (responseTime > this.slowHostThreshold) {
+      state.fastStreak = 0;
+      state.slowDelay = Math.min(responseTime, MAX_SLOW_DELAY);
+      if (!state.slow) {
+        state.slow = true;
+        this.emit('host-slow', { host, responseTime });
+      }
+    } else if (state.slow && ++state.fastStreak >= RECOVERY_STREAK) {
+      state.slow = false;
+      state.slowDelay = 0;
+      state.fastStreak = 0;
+      this.emit('host-recovered', { host, reason: 'slow' });
+    }
+  }
+
+  isSlow(host) {
+    return this.hosts.has(host) && this.hosts.get(host).slow;
+  }
+
+  /**
+   * Summary for getStats()
+   */
+  getStats() {
+    let slowHosts = 0;
+    let backingOff = 0;
+    let active = 0;
+    for (const state of this.hosts.values()) {
+      if (state.slow) slowHosts++;
+      if (state.backoffMs) backingOff++;
+      active += state.active;
+    }
+    return { hosts: this.hosts.size, slowHosts, backingOff, activeRequests: active };
+  }
+
+  /**
+   * Persistent part of the host state (for checkpoints)
+   */
+  snapshot() {
+    const hosts = {};
+    for (const [host, state] of this.hosts) {
+      const { backoffMs, crawlDelay, slow, slowDelay } = state;
+      hosts[host] = { backoffMs, crawlDelay, slow, slowDelay };
+    }
+    return hosts;
+  }
+
+  restore(hosts = {}) {
+    this.hosts.clear();
+    for (const [host, saved] of Object.entries(hosts)) {
+      Object.assign(this.getHost(host), saved);
+    }
+  }
+}
+
+module.exports = { HostScheduler, parseRetryAfter };
@@ -0,0 +1,155 @@
+/**
+ * CRAWL SCOPE
+ *
+ * Decides whether a discovered URL should be crawled and, if not, why.
+ *
+ * Options:
+ *   subdomains   - which hosts count as the seed's site:
+ *                  'none' (default): same origin as the seed only
+ *                  'www':  example.com and www.example.com together
+ *                  'all':  the seed host and every subdomain of it
+ *   include      - patterns a URL must match (empty = everything)
+ *   exclude      - patterns that reject a URL
+ *   allowedHosts - trusted external hosts, followed a limited number of hops
+ *                  away from the site ('host', '*.host' or { host, maxHops })
+ *   logout       - patterns of logout URLs, never followed so an authenticated
+ *                  crawl keeps its session (default: DEFAULT_LOGOUT_PATTERNS,
+ *                  [] to disable)
+ *
+ * Patterns are globs ("*" matches any characters) or RegExps. Include
+ * patterns may be wrapped as { pattern, maxDepth } to limit the crawl depth
+ * for matching URLs. Globs starting with "/" match path + query; other globs and
+ * RegExps match the full URL.
+ */
+
+const DEFAULT_LOGOUT_PATTERNS = [
+  /\/(log|sign)[-_]?(out|off)([/?#.]|$)/i, // /logout, /sign-out, /logoff.php
+  /[?&](action|do|cmd)=(log|sign)[-_]?(out|off)(&|$)/i, // ?action=logout
+];
+
+class CrawlScope {
+  constructor(options = {}, seedUrl) {
+    const seed = new URL(seedUrl);
+    this.seedOrigin = seed.origin;
+    this.baseHost = seed.hostname.replace(/^www\./, '');
+
+    this.subdomains = options.subdomains ?? 'none';
+    if (!['none', 'www', 'all'].includes(this.subdomains)) {
+      throw new Error(`Unknown subdomain policy: ${this.subdomains} (expected none, www or all)`);
+    }
+
+    this.include = (options.include || []).map((rule) => CrawlScope.compileRule(rule));
+    this.exclude = (options.exclude || []).map((rule) => CrawlScope.compileRule(rule));
+    this.logout = (options.logout ?? DEFAULT_LOGOUT_PATTERNS).map((rule) => CrawlScope.compileRule(rule));
+    this.allowedHosts = (options.allowedHosts || []).map((rule) => {
+      const { host, maxHops = 1 } = typeof rule === 'string' ? { host: rule } : rule;
+      return { host, maxHops, regex: CrawlScope.compileGlob(host.toLowerCase()) };
+    });
+  }
+
+  /**
+   * Normalize a pattern rule into { label, test(url), maxDepth }
+   */
+  static compileRule(rule) {
+    const { pattern, maxDepth = Infinity } =
+      typeof rule === 'string' || rule instanceof RegExp ? { pattern: rule } : rule;
+
+    if (pattern instanceof RegExp) {
+      return { label: String(pattern), test: (url) => pattern.test(url.href), maxDepth };
+    }
+
+    const regex = CrawlScope.compileGlob(pattern);
+    const pathOnly = pattern.startsWith('/');
+    return {
+      label: pattern,
+      test: (url) => regex.test(pathOnly ? url.pathname + url.search : url.href),
+      maxDepth,
+    };
+  }
+
+  static compileGlob(glob) {
+    const source = glob
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp('^' + source + '$');
+  }
+
+  /**
+   * Is the host part of the site being crawled (per the subdomain policy)?
+   */
+  isSiteUrl(url) {
+    if (!['http:', 'https:'].includes(url.protocol)) return false;
+    const host = url.hostname;
+
+    switch (this.subdomains) {
+      case 'www':
+        return host.replace(/^www\./, '') === this.baseHost;
+      case 'all':
+        return host === this.baseHost || host.endsWith('.' + this.baseHost);
+      default:
+        return url.origin === this.seedOrigin;
+    }
+  }
+
+  /**
+   * Does the URL look like a logout link? (its label, or null)
+   */
+  matchLogout(url) {
+    const rule = this.logout.find((logoutRule) => logoutRule.test(url));
+    return rule ? rule.label : null;
+  }
+
+  /**
+   * Check a URL found at `depth` on a page that was `parentHops` hops off-site.
+   * Returns { allowed: true, hops } or { allowed: false, reason }.
+   */
+  check(urlString, { depth = 0, parentHops = 0 } = {}) {
+    let url;
+    try {
+      url = new URL(urlString);
+    } catch {
+      return { allowed: false, reason: 'invalid URL' };
+    }
+
+    let hops = 0;
+    if (!this.isSiteUrl(url)) {
+      const hostRule = this.allowedHosts.find((rule) => rule.regex.test(url.hostname));
+      if (!hostRule) {
+        return { allowed: false, reason: `host ${url.hostname} not in scope` };
+      }
+      hops = parentHops + 1;
+      if (hops > hostRule.maxHops) {
+        return {
+          allowed: false,
+          reason: `more than ${hostRule.maxHops} hop(s) into allowed host ${hostRule.host}`,
+        };
+      }
+    }
+
+    const logout = this.matchLogout(url);
+    if (logout) {
+      return { allowed: false, reason: `logout URL (${logout})` };
+    }
+
+    const excluded = this.exclude.find((rule) => rule.test(url));
+    if (excluded) {
+      return { allowed: false, reason: `matches exclude pattern ${excluded.label}` };
+    }
+
+    if (this.include.length > 0) {
+      const included = this.include.filter((rule) => rule.test(url));
+      if (included.length === 0) {
+        return { allowed: false, reason: 'matches no include pattern' };
+      }
+      if (!included.some((rule) => depth <= rule.maxDepth)) {
+        const limit = Math.max(...included.map((rule) => rule.maxDepth));
+        return { allowed: false, reason: `depth ${depth} beyond maxDepth ${limit} for ${included[0].label}` };
+      }
+    }
+
+    return { allowed: true, hops };
+  }
+}
+
+module.exports = { CrawlScope, DEFAULT_LOGOUT_PATTERNS };
@@ -0,0 +1,59 @@
+/**
+ * URL SCORERS FOR THE 'priority' CRAWL STRATEGY
+ *
+ * A scorer receives the candidate link and returns a number; higher
+ * scores are fetched first. Context fields:
+ *   url         - absolute URL to score
+ *   depth       - crawl depth the URL would be fetched at
+ *   anchorText  - text of the <a> that linked to it ('' if none)
+ *   parentUrl   - page the link was found on (null for seeds)
+ *   source      - where the URL came from ('seed', 'link', 'sitemap')
+ *   sitemap     - sitemap metadata ({ lastmod, priority }) when source is 'sitemap'
+ */
+
+/**
+ * Fewer path segments first ("/" before "/a" before "/a/b")
+ */
+function shallowPaths({ url }) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return -segments.length;
+  } catch {
+    return -Infinity;
+  }
+}
+
+/**
+ * URLs listed in a sitemap first, ordered by their sitemap <priority>
+ */
+function sitemapFirst({ source, sitemap }) {
+  if (source !== 'sitemap') return 0;
+  const priority = Number(sitemap?.priority);
+  return 1 + (Number.isFinite(priority) ? priority : 0.5);
+}
+
+/**
+ * Lower crawl depth first (BFS-like ordering within priority mode)
+ */
+function shallowDepth({ depth }) {
+  return -depth;
+}
+
+const scorers = {
+  'shallow-paths': shallowPaths,
+  'sitemap-first': sitemapFirst,
+  'shallow-depth': shallowDepth,
+};
+
+/**
+ * Resolve a scorer given as a function or the name of a built-in
+ */
+function resolveScorer(scorer) {
+  if (typeof scorer === 'function') return scorer;
+  if (scorers[scorer]) return scorers[scorer];
+  throw new Error(
+    `Unknown scorer: ${scorer} (expected a function or one of ${Object.keys(scorers).join(', ')})`
+  );
+}
+
+module.exports = { scorers, resolveScorer };
@@ -0,0 +1,356 @@
+const fs = require('fs');
+
+/**
+ * FULL-TEXT SEARCH INDEX
+ *
+ * Inverted index over the text of crawled pages (results with a `text`
+ * field, see the indexText option). Each term maps to the documents it
+ * occurs in with its token positions, so queries can ask for phrases:
+ *
+ *   crawler pricing          pages containing both terms
+ *   "annual plan" -trial     the exact phrase, and not "trial"
+ *
+ * Matches are ranked with BM25 (k1 = 1.2, b = 0.75); title hits count
+ * titleBoost times. Hits carry a snippet of the page text around the first
+ * match, with query terms wrapped in highlight.pre / highlight.post.
+ *
+ * Terms are lower-cased letters and digits with accents folded, so "Café"
+ * matches "cafe". The index is saved as JSON (postings included) and loaded
+ * back without re-tokenizing pages.
+ */
+
+const INDEX_VERSION = 1;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_GAP = 1; // Position gap between title and body, so phrases never span both
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'head']);
+// Elements whose text never runs into its neighbours' (blocks, links, buttons)
+const WORD_BREAK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol',
+  'option', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul', 'a', 'button', 'img',
+]);
+
+class SearchIndex {
+  constructor(options = {}) {
+    this.titleBoost = options.titleBoost ?? 2;
+    this.docs = []; // docId -> { url, title, depth, status, contentType, text, titleLength, length } or null once removed
+    this.docIds = new Map(); // url -> docId
+    this.postings = new Map(); // term -> Map(docId -> [positions])
+    this.totalLength = 0;
+  }
+
+  /**
+   * Build an index from results (those without text are skipped)
+   */
+  static fromResults(results, options) {
+    const index = new SearchIndex(options);
+    for (const result of results) index.add(result);
+    return index;
+  }
+
+  /**
+   * Index a page ({ url, title, text, depth, status, contentType }),
+   * replacing an earlier version of the same URL
+   */
+  add(result) {
+    if (!result || !result.url || typeof result.text !== 'string') return false;
+    this.remove(result.url);
+
+    const titleTerms = tokenize(result.title || '').map((token) => token.term);
+    const bodyTerms = tokenize(result.text).map((token) => token.term);
+    const docId = this.docs.length;
+    const bodyStart = titleTerms.length + TITLE_GAP;
+
+    titleTerms.forEach((term, position) => this.addPosting(term, docId, position));
+    bodyTerms.forEach((term, position) => this.addPosting(term, docId, bodyStart + position));
+
+    const length = titleTerms.length + bodyTerms.length;
+    this.docs.push({
+      url: result.url,
+      title: result.title ?? null,
+      depth: result.depth ?? null,
+      status: result.status ?? null,
+      contentType: result.contentType ?? null,
+      text: result.text,
+      titleLength: titleTerms.length,
+      length,
+    });
+    this.docIds.set(result.url, docId);
+    this.totalLength += length;
+    return true;
+  }
+
+  addPosting(term, docId, position) {
+    if (!this.postings.has(term)) this.postings.set(term, new Map());
+    const docs = this.postings.get(term);
+    if (!docs.has(docId)) docs.set(docId, []);
+    docs.get(docId).push(position);
+  }
+
+  /**
+   * Drop a page from the index
+   */
+  remove(url) {
+    const docId = this.docIds.get(url);
+    if (docId === undefined) return false;
+
+    const doc = this.docs[docId];
+    for (const term of new Set(tokenize(`${doc.title || ''} ${doc.text}`).map((token) => token.term))) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+      docs.delete(docId);
+      if (docs.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs[docId] = null;
+    this.docIds.delete(url);
+    return true;
+  }
+
+  get size() {
+    return this.docIds.size;
+  }
+
+  /**
+   * Ranked hits for a query:
+   * [{ url, title, score, snippet, depth, status, contentType }]
+   *
+   * Options: limit (10), offset, depth / minDepth / maxDepth, status (200,
+   * '4xx' or a list), contentType (substring, e.g. 'text/html'),
+   * snippetLength (chars, 200), highlight ({ pre, post }, default ** **)
+   */
+  search(query, options = {}) {
+    const { terms, phrases, excluded } = SearchIndex.parseQuery(query);
+    const required = Array.from(new Set([...terms, ...phrases.flat()]));
+    if (required.length === 0) return [];
+
+    // Candidates: documents containing every required term, rarest term first
+    const postingLists = required.map((term) => this.postings.get(term));
+    if (postingLists.some((docs) => !docs)) return [];
+    postingLists.sort((a, b) => a.size - b.size);
+
+    const matchesFilters = compileFilters(options);
+    const hits = [];
+    for (const docId of postingLists[0].keys()) {
+      if (!postingLists.every((docs) => docs.has(docId))) continue;
+      if (excluded.some((term) => this.postings.get(term)?.has(docId))) continue;
+      if (!phrases.every((phrase) => this.containsPhrase(docId, phrase))) continue;
+      const doc = this.docs[docId];
+      if (!matchesFilters(doc)) continue;
+      hits.push({ docId, score: this.score(docId, required) });
+    }
+
+    hits.sort((a, b) => b.score - a.score || a.docId - b.docId);
+    const offset = options.offset ?? 0;
+    const limit = options.limit ?? 10;
+    const highlight = { pre: '**', post: '**', ...options.highlight };
+
+    return hits.slice(offset, offset + limit).map(({ docId, score }) => {
+      const doc = this.docs[docId];
+      return {
+        url: doc.url,
+        title: doc.title,
+        score: Number(score.toFixed(4)),
+        snippet: makeSnippet(doc.text, required, options.snippetLength ?? 200, highlight),
+        depth: doc.depth,
+        status: doc.status,
+        contentType: doc.contentType,
+      };
+    });
+  }
+
+  /**
+   * Split a query into terms, "quoted phrases" (lists of terms) and -excluded terms
+   */
+  static parseQuery(query) {
+    const terms = [];
+    const phrases = [];
+    const excluded = [];
+    for (const [, phrase, word] of String(query).matchAll(/"([^"]*)"?|(\S+)/g)) {
+      if (phrase !== undefined) {
+        const phraseTerms = tokenize(phrase).map((token) => token.term);
+        if (phraseTerms.length > 1) phrases.push(phraseTerms);
+        else terms.push(...phraseTerms);
+      } else if (word.startsWith('-') && word.length > 1) {
+        excluded.push(...tokenize(word.slice(1)).map((token) => token.term));
+      } else {
+        terms.push(...tokenize(word).map((token) => token.term));
+      }
+    }
+    return { terms, phrases, excluded };
+  }
+
+  containsPhrase(docId, phrase) {
+    const positionSets = phrase.map((term) => new Set(this.postings.get(term).get(docId)));
+    return this.postings
+      .get(phrase[0])
+      .get(docId)
+      .some((start) => positionSets.every((positions, offset) => positions.has(start + offset)));
+  }
+
+  /**
+   * BM25 score of a document for the query terms
+   */
+  score(docId, terms) {
+    const doc = this.docs[docId];
+    const documentCount = this.size;
+    const averageLength = this.totalLength / documentCount || 1;
+    let score = 0;
+    for (const term of terms) {
+      const docs = this.postings.get(term);
+      const positions = docs.get(docId);
+      const titleHits = positions.filter((position) => position < doc.titleLength).length;
+      const frequency = positions.length + (this.titleBoost - 1) * titleHits;
+      const idf = Math.log(1 + (documentCount - docs.size + 0.5) / (docs.size + 0.5));
+      score +=
+        (idf * frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / averageLength));
+    }
+    return score;
+  }
+
+  toJSON() {
+    const docIds = new Map(); // Old ids -> compacted ids (removed documents dropped)
+    const docs = [];
+    this.docs.forEach((doc, docId) => {
+      if (!doc) return;
+      docIds.set(docId, docs.length);
+      docs.push(doc);
+    });
+
+    // term -> [docId, count, ...positions, docId, count, ...positions]
+    const postings = {};
+    for (const [term, termDocs] of this.postings) {
+      const encoded = [];
+      for (const [docId, positions] of termDocs) encoded.push(docIds.get(docId), positions.length, ...positions);
+      postings[term] = encoded;
+    }
+
+    return { version: INDEX_VERSION, titleBoost: this.titleBoost, totalLength: this.totalLength, docs, postings };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== INDEX_VERSION) throw new Error('Unsupported search index format');
+
+    const index = new SearchIndex({ titleBoost: data.titleBoost });
+    index.docs = data.docs;
+    index.docs.forEach((doc, docId) => index.docIds.set(doc.url, docId));
+    index.totalLength = data.totalLength;
+    for (const [term, encoded] of Object.entries(data.postings)) {
+      const termDocs = new Map();
+      for (let i = 0; i < encoded.length; i += 2 + encoded[i + 1]) {
+        termDocs.set(encoded[i], encoded.slice(i + 2, i + 2 + encoded[i + 1]));
+      }
+      index.postings.set(term, termDocs);
+    }
+    return index;
+  }
+
+  /**
+   * Write the index to a file atomically (temp file + rename)
+   */
+  save(filePath) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this));
+    fs.renameSync(tmpPath, filePath);
+    return filePath;
+  }
+
+  static load(filePath) {
+    return SearchIndex.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+}
+
+/**
+ * Visible text of a loaded HTML page (scripts, styles and templates left
+ * out), with blocks and links kept apart: <p>One</p><p>Two</p> is "One Two"
+ */
+function extractPageText($) {
+  const root = $('body').length ? $('body') : $.root();
+  const parts = [];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        parts.push(node.data);
+      } else if (node.type === 'tag' && !SKIPPED_ELEMENTS.has(node.name)) {
+        const breaks = WORD_BREAK_ELEMENTS.has(node.name);
+        if (breaks) parts.push(' ');
+        walk(node.children || []);
+        if (breaks) parts.push(' ');
+      }
+    }
+  };
+  walk(root.get());
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Terms of a text with their character offsets: [{ term, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const term = match[0].normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Predicate for the depth / status / contentType filters of search()
+ */
+function compileFilters({ depth, minDepth, maxDepth, status, contentType }) {
+  const statuses = status === undefined ? null : [].concat(status).map((value) => String(value).toLowerCase());
+  const matchesStatus = (value) =>
+    statuses.some((wanted) => (/^\dxx$/.test(wanted) ? String(value)[0] === wanted[0] : String(value) === wanted));
+
+  return (doc) =>
+    (depth === undefined || doc.depth === Number(depth)) &&
+    (minDepth === undefined || doc.depth >= minDepth) &&
+    (maxDepth === undefined || doc.depth <= maxDepth) &&
+    (statuses === null || matchesStatus(doc.status)) &&
+    (contentType === undefined || (doc.contentType || '').toLowerCase().includes(contentType.toLowerCase()));
+}
+
+/**
+ * A window of the text around the first query term, terms highlighted
+ */
+function makeSnippet(text, terms, length, { pre, post }) {
+  const wanted = new Set(terms);
+  const tokens = tokenize(text).filter((token) => wanted.has(token.term));
+  if (text.length === 0) return '';
+
+  // Start a little before the first match, on a word boundary
+  let start = tokens.length ? Math.max(0, tokens[0].start - Math.floor(length / 3)) : 0;
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < tokens[0].start ? space + 1 : start;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start && (!tokens.length || space >= tokens[0].end)) end = space;
+  }
+
+  // Highlighted spans, neighbouring terms (phrases) merged into one
+  const spans = [];
+  for (const token of tokens) {
+    if (token.start < start || token.end > end) continue;
+    const last = spans[spans.length - 1];
+    if (last && /^\s+$/.test(text.slice(last.end, token.start))) last.end = token.end;
+    else spans.push({ start: token.start, end: token.end });
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const span of spans) {
+    snippet += text.slice(cursor, span.start) + pre + text.slice(span.start, span.end) + post;
+    cursor = span.end;
+  }
+  snippet += text.slice(cursor, end);
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = { SearchIndex, extractPageText, tokenize };
@@ -0,0 +1,413 @@
+const cheerio = require('cheerio');
+const net = require('net');
+const { CrawlScope } = require('./scope');
+
+/**
+ * SESSION & AUTHENTICATION
+ *
+ * CookieJar keeps the cookies servers set during one crawl and sends them
+ * back on later requests (domain, path, expiry and Secure are honored). A
+ * Domain attribute must name the response host or a parent of it that is not
+ * a public suffix (co.uk, github.io, ...).
+ *
+ * Session adds the configured credentials to requests:
+ *   basic   - { username, password } as an Authorization: Basic header
+ *   bearer  - token sent as Authorization: Bearer
+ *   headers - any other headers, e.g. { 'X-Api-Key': '...' }
+ *   form    - { url, fields, selector, success }: fill in and submit a login
+ *             form before the crawl (hidden inputs such as CSRF tokens are kept)
+ *   login   - async (client) => {} for login flows a form cannot describe
+ *   hosts   - hosts that receive credentials ('host' or '*.host');
+ *             default: the crawled site only
+ *   secrets - extra strings to redact
+ *
+ * Credentials never reach stored results, checkpoints, archives or logs:
+ * redact() replaces every secret (and user:password@ in URLs) with [REDACTED].
+ * Values shorter than MIN_SECRET_LENGTH are not replaced: "1" or "en" would
+ * be redacted all over unrelated text.
+ */
+
+const REDACTED = '[REDACTED]';
+const MIN_SECRET_LENGTH = 4;
+// Form fields whose values are secrets, by whole name (user[password] -> password)
+const SECRET_FIELD_PATTERN = /^(pass|password|passwd|pwd|pw|secret|token|api[_-]?key|pin|otp)$/i;
+
+// Public suffixes under which no site may set a cookie for its siblings: every
+// top-level domain, second levels of country codes such as co.uk and com.au,
+// and shared hosting domains. A short stand-in for the Public Suffix List.
+const COUNTRY_SECOND_LEVELS = ['ac', 'co', 'com', 'edu', 'go', 'gob', 'gov', 'ltd', 'mil', 'ne', 'net', 'or', 'org', 'plc', 'sch'];
+const SHARED_HOSTING_SUFFIXES = [
+  'github.io',
+  'gitlab.io',
+  'herokuapp.com',
+  'netlify.app',
+  'vercel.app',
+  'pages.dev',
+  'workers.dev',
+  'web.app',
+  'firebaseapp.com',
+  'appspot.com',
+  'blogspot.com',
+  'azurewebsites.net',
+  'cloudfront.net',
+  's3.amazonaws.com',
+];
+const CREDENTIAL_HEADER_PATTERN = /^((?:proxy-)?authorization|cookie|set-cookie):.*$/gim;
+
+class CookieJar {
+  constructor() {
+    this.cookies = new Map(); // "domain;path;name" -> cookie
+  }
+
+  get size() {
+    this.removeExpired();
+    return this.cookies.size;
+  }
+
+  /**
+   * Parse one Set-Cookie header received from requestUrl; null if invalid
+   */
+  static parse(header, requestUrl) {
+    const url = new URL(requestUrl);
+    const [pair, ...attributes] = String(header).split(';');
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return null;
+
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      domain: url.hostname,
+      hostOnly: true,
+      path: CookieJar.defaultPath(url.pathname),
+      expires: null, // ms timestamp, null = session cookie
+      secure: false,
+      httpOnly: false,
+    };
+
+    for (const attribute of attributes) {
+      const [rawName, ...rest] = attribute.split('=');
+      const name = rawName.trim().toLowerCase();
+      const value = rest.join('=').trim();
+
+      if (name === 'domain' && value) {
+        const domain = value.replace(/^\./, '').toLowerCase();
+        // A server may only set cookies for its own domain or a parent of it
+        if (!CookieJar.domainMatches(url.hostname, domain)) return null;
+        if (CookieJar.isPublicSuffix(domain)) {
+          // Allowed for the host itself only (RFC 6265 5.3 step 5)
+          if (domain !== url.hostname) return null;
+          continue;
+        }
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+      } else if (name === 'path' && value.startsWith('/')) {
+        cookie.path = value;
+      } else if (name === 'max-age' && /^-?\d+$/.test(value)) {
+        cookie.expires = Date.now() + Number(value) * 1000;
+      } else if (name === 'expires' && cookie.expires === null) {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) cookie.expires = time;
+      } else if (name === 'secure') {
+        cookie.secure = true;
+      } else if (name === 'httponly') {
+        cookie.httpOnly = true;
+      }
+    }
+    return cookie;
+  }
+
+  /**
+   * Directory of the request path, the default cookie path (RFC 6265 5.1.4)
+   */
+  static defaultPath(pathname) {
+    if (!pathname.startsWith('/')) return '/';
+    const slash = pathname.lastIndexOf('/');
+    return slash <= 0 ? '/' : pathname.slice(0, slash);
+  }
+
+  static domainMatches(host, domain) {
+    if (host === domain) return true;
+    // IP addresses have no parent domains
+    if (net.isIP(host) || host.startsWith('[')) return false;
+    return host.endsWith('.' + domain);
+  }
+
+  /**
+   * Is a domain a public suffix (see COUNTRY_SECOND_LEVELS, SHARED_HOSTING_SUFFIXES)?
+   */
+  static isPublicSuffix(domain) {
+    const labels = domain.split('.');
+    if (labels.length === 1) return true;
+    if (labels.length === 2 && labels[1].length === 2 && COUNTRY_SECOND_LEVELS.includes(labels[0])) return true;
+    return SHARED_HOSTING_SUFFIXES.includes(domain);
+  }
+
+  static pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    return requestPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/');
+  }
+
+  /**
+   * Store the Set-Cookie header(s) of a response; expired cookies delete
+   * the stored ones
+   */
+  setCookies(setCookie, requestUrl) {
+    for (const header of [].concat(setCookie || [])) {
+      const cookie = CookieJar.parse(header, requestUrl);
+      if (!cookie) continue;
+
+      const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+      if (cookie.expires !== null && cookie.expires <= Date.now()) {
+        this.cookies.delete(key);
+      } else {
+        this.cookies.set(key, cookie);
+      }
+    }
+  }
+
+  /**
+   * Cookies to send to a URL, longest path first
+   */
+  getCookies(requestUrl) {
+    const url = new URL(requestUrl);
+    this.removeExpired();
+    return Array.from(this.cookies.values())
+      .filter((cookie) =>
+        (cookie.hostOnly ? url.hostname === cookie.domain : CookieJar.domainMatches(url.hostname, cookie.domain)) &&
+        CookieJar.pathMatches(url.pathname, cookie.path) &&
+        (!cookie.secure || url.protocol === 'https:')
+      )
+      .sort((a, b) => b.path.length - a.path.length);
+  }
+
+  /**
+   * Cookie header value for a URL, or null when no cookie applies
+   */
+  getCookieHeader(requestUrl) {
+    const cookies = this.getCookies(requestUrl);
+    return cookies.length ? cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ') : null;
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    for (const [key, cookie] of this.cookies) {
+      if (cookie.expires !== null && cookie.expires <= now) this.cookies.delete(key);
+    }
+  }
+
+  clear() {
+    this.cookies.clear();
+  }
+}
+
+class Session {
+  constructor(auth = null, options = {}) {
+    this.auth = auth || {};
+    this.useCookies = options.cookies ?? true;
+    this.cookieJar = new CookieJar();
+
+    if (this.auth.basic && this.auth.bearer) {
+      throw new Error('auth.basic and auth.bearer both set the Authorization header; use one');
+    }
+    if (this.auth.form && !this.auth.form.url) {
+      throw new Error('auth.form needs the url of the login page');
+    }
+    this.hosts = (this.auth.hosts || []).map((host) => CrawlScope.compileGlob(host.toLowerCase()));
+    this.credentialHeaders = this.buildCredentialHeaders();
+    this.secrets = [];
+    this.secretPattern = null;
+    this.addSecrets(this.collectSecrets());
+  }
+
+  buildCredentialHeaders() {
+    const headers = { ...(this.auth.headers || {}) };
+    if (this.auth.basic) {
+      const { username = '', password = '' } = this.auth.basic;
+      headers['Authorization'] = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
+    }
+    if (this.auth.bearer) {
+      headers['Authorization'] = `Bearer ${this.auth.bearer}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Every configured value that must not be written anywhere
+   */
+  collectSecrets() {
+    const secrets = [...(this.auth.secrets || [])];
+    if (this.auth.basic?.password) secrets.push(this.auth.basic.password);
+    if (this.auth.bearer) secrets.push(this.auth.bearer);
+    secrets.push(...Object.values(this.credentialHeaders));
+    for (const [name, value] of Object.entries(this.auth.form?.fields || {})) {
+      const field = name.split(/[[\].]/).filter(Boolean).pop() || name;
+      if (SECRET_FIELD_PATTERN.test(field)) secrets.push(value);
+    }
+    return secrets;
+  }
+
+  /**
+   * Redact these values too (e.g. found while logging in); values shorter
+   * than MIN_SECRET_LENGTH are ignored
+   */
+  addSecrets(values) {
+    const added = values.map(String).filter((value) => value.length >= MIN_SECRET_LENGTH);
+    // Longest first, so a secret containing another is replaced whole
+    this.secrets = Array.from(new Set([...this.secrets, ...added]))
+      .sort((a, b) => b.length - a.length);
+    this.secretPattern = this.secrets.length
+      ? new RegExp(this.secrets.map((secret) => secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g')
+      : null;
+  }
+
+  /**
+   * Is a login step configured?
+   */
+  needsLogin() {
+    return Boolean(this.auth.form || this.auth.login);
+  }
+
+  /**
+   * Do credentials go to this URL? auth.hosts if set, otherwise the
+   * crawled site (isSiteUrl)
+   */
+  sendsCredentials(url, isSiteUrl) {
+    if (this.hosts.length === 0) return isSiteUrl;
+    const host = new URL(url).hostname.toLowerCase();
+    return this.hosts.some((regex) => regex.test(host));
+  }
+
+  /**
+   * Session headers for a request: credentials (for allowed hosts) and cookies
+   */
+  headersFor(url, { isSiteUrl = true } = {}) {
+    const headers = this.sendsCredentials(url, isSiteUrl) ? { ...this.credentialHeaders } : {};
+    if (this.useCookies) {
+      const cookie = this.cookieJar.getCookieHeader(url);
+      if (cookie) headers['Cookie'] = cookie;
+    }
+    return headers;
+  }
+
+  /**
+   * Remember the cookies a response set
+   */
+  storeCookies(url, responseHeaders = {}) {
+    if (this.useCookies) this.cookieJar.setCookies(responseHeaders['set-cookie'], url);
+  }
+
+  /**
+   * Run the login step. client: { get(url), post(url, body, { headers }), cookieJar },
+   * each request resolving to { url, status, headers, body } after redirects.
+   */
+  async login(client) {
+    if (this.auth.login) {
+      await this.auth.login(client);
+      return { url: null };
+    }
+    return this.formLogin(client);
+  }
+
+  async formLogin(client) {
+    const { url, fields = {}, selector, success } = this.auth.form;
+    const page = await client.get(url);
+    if (page.status >= 400) {
+      throw new Error(`Login page ${url} returned ${page.status}`);
+    }
+
+    const $ = cheerio.load(page.body);
+    let $form = selector ? $(selector).first() : Session.findLoginForm($);
+    if (!$form.length) throw new Error(`No login form found at ${url}`);
+    if (!$form.is('form')) $form = $form.closest('form');
+
+    // Keep the form's own values (CSRF tokens, hidden state), then fill in ours
+    const data = new URLSearchParams();
+    $form.find('input[name], select[name], textarea[name]').each((_, el) => {
+      const $el = $(el);
+      const type = ($el.attr('type') || '').toLowerCase();
+      if (['submit', 'button', 'image', 'reset', 'file'].includes(type)) return;
+      if (['checkbox', 'radio'].includes(type) && $el.attr('checked') === undefined) return;
+      data.set($el.attr('name'), $el.attr('value') ?? '');
+    });
+    for (const [name, value] of Object.entries(fields)) data.set(name, value);
+    // Whatever goes into a password input is a secret, whatever the field is called
+    $form.find('input[type="password" i][name]').each((_, el) => {
+      const name = $(el).attr('name');
+      if (name in fields) this.addSecrets([fields[name]]);
+    });
+
+    const action = new URL($form.attr('action') || page.url, page.url);
+    let response;
+    if (($form.attr('method') || 'get').toLowerCase() === 'post') {
+      response = await client.post(action.href, data.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      });
+    } else {
+      action.search = data.toString();
+      response = await client.get(action.href);
+    }
+
+    if (!Session.loginSucceeded(response, success)) {
+      throw new Error(`Login at ${url} failed (${response.status} from ${response.url})`);
+    }
+    return { url: response.url };
+  }
+
+  /**
+   * The form holding a password field, else the first form
+   */
+  static findLoginForm($) {
+    const withPassword = $('form').filter((_, el) => $(el).find('input[type="password" i]').length > 0);
+    return withPassword.length ? withPassword.first() : $('form').first();
+  }
+
+  /**
+   * success: text or RegExp the page after login must contain, or a
+   * function(response). Default: no error status and no password field left.
+   */
+  static loginSucceeded(response, success) {
+    if (typeof success === 'function') return Boolean(success(response));
+    if (success instanceof RegExp) return success.test(response.body);
+    if (typeof success === 'string') return response.body.includes(success);
+    return response.status < 400 && cheerio.load(response.body)('input[type="password" i]').length === 0;
+  }
+
+  /**
+   * Text with secrets and URL passwords replaced by [REDACTED]
+   */
+  redact(text) {
+    if (typeof text !== 'string') return text;
+    let redacted = text.replace(/(\/\/[^/?#@\s:]*:)[^/?#@\s]+@/g, `$1${REDACTED}@`);
+    if (this.secretPattern) redacted = redacted.replace(this.secretPattern, REDACTED);
+    return redacted;
+  }
+
+  /**
+   * Copy of a plain value (result, log entry, config) with every string redacted
+   */
+  redactValue(value) {
+    if (typeof value === 'string') return this.redact(value);
+    if (Buffer.isBuffer(value)) return REDACTED; // Key material given inline
+    if (Array.isArray(value)) return value.map((item) => this.redactValue(item));
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Raw HTTP head with Authorization, Cookie and Set-Cookie values removed
+   */
+  redactHead(head) {
+    return this.redact(head.replace(CREDENTIAL_HEADER_PATTERN, (line) => `${line.slice(0, line.indexOf(':'))}: ${REDACTED}`));
+  }
+
+  /**
+   * Forget the cookies of the previous crawl
+   */
+  reset() {
+    this.cookieJar.clear();
+  }
+}
+
+module.exports = { CookieJar, Session, REDACTED };
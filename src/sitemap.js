@@ -0,0 +1,60 @@
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+/**
+ * SITEMAP PARSING
+ *
+ * Handles the sitemaps.org protocol:
+ * - <urlset> documents listing page URLs with lastmod/changefreq/priority
+ * - <sitemapindex> documents pointing at further sitemaps
+ * - gzip-compressed sitemaps (sitemap.xml.gz), detected by magic bytes
+ */
+
+/**
+ * Turn a raw response body into XML text, gunzipping if needed
+ */
+function decodeSitemap(body) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * Parse sitemap XML into { type, entries }.
+ * type is 'index', 'urlset' or null when the document is not a sitemap.
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const text = (el, tag) => $(el).children(tag).first().text().trim() || null;
+
+  if ($('sitemapindex').length > 0) {
+    const entries = [];
+    $('sitemapindex > sitemap').each((_, el) => {
+      const loc = text(el, 'loc');
+      if (loc) entries.push({ loc, lastmod: text(el, 'lastmod') });
+    });
+    return { type: 'index', entries };
+  }
+
+  if ($('urlset').length > 0) {
+    const entries = [];
+    $('urlset > url').each((_, el) => {
+      const loc = text(el, 'loc');
+      if (!loc) return;
+      const priority = parseFloat(text(el, 'priority'));
+      entries.push({
+        loc,
+        lastmod: text(el, 'lastmod'),
+        changefreq: text(el, 'changefreq'),
+        priority: Number.isNaN(priority) ? null : priority,
+      });
+    });
+    return { type: 'urlset', entries };
+  }
+
+  return { type: null, entries: [] };
+}
+
+module.exports = { decodeSitemap, parseSitemap };
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * RESULT STORAGE
+ *
+ * Streams crawl results to JSONL segments in the storage directory:
+ *
+ *   results-<runId>-0.jsonl, results-<runId>-1.jsonl.gz, ...
+ *   manifest-<runId>.json
+ *
+ * A segment is closed once it reaches maxSegmentBytes or maxSegmentRecords
+ * (0 = no limit). Closed segments are optionally gzipped, and the manifest
+ * lists every segment with its record count, size and time range, and once the
+ * store is closed whether the run completed. Opening a store for an existing
+ * run continues where it left off (used by resume()).
+ */
+
+const SEGMENT_PATTERN = /^results-(.+)-(\d+)\.jsonl(\.gz)?$/;
+
+class ResultStore {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.runId = options.runId;
+    this.maxSegmentBytes = options.maxSegmentBytes ?? 10 * 1024 * 1024;
+    this.maxSegmentRecords = options.maxSegmentRecords ?? 0;
+    this.compress = options.compress ?? false;
+    this.segments = []; // manifest entries, the open segment last
+    this.current = null; // open segment entry
+    this.completed = null; // Set by close(): whether the run left nothing queued
+    this.stopReason = null;
+  }
+
+  /**
+   * Open the store, picking up segments already written for this run
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const manifest = this.readManifest();
+    const known = new Map((manifest?.segments || []).map((segment) => [segment.file, segment]));
+
+    for (const { file, index, compressed } of ResultStore.listSegments(this.dir, this.runId)) {
+      const filePath = path.join(this.dir, file);
+      const segment = known.get(file) || {
+        file,
+        index,
+        records: ResultStore.readSegment(filePath).length,
+        bytes: fs.statSync(filePath).size,
+        compressed,
+        startedAt: null,
+        closedAt: compressed ? new Date().toISOString() : null,
+      };
+      this.segments.push(segment);
+    }
+
+    // The newest uncompressed segment without closedAt is still open
+    const last = this.segments[this.segments.length - 1];
+    if (last && !last.closedAt && !last.compressed) {
+      this.current = last;
+      this.repairSegment(last);
+    }
+    return this;
+  }
+
+  /**
+   * Drop a partially written last line left by a crash
+   */
+  repairSegment(segment) {
+    const filePath = path.join(this.dir, segment.file);
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (content === '' || content.endsWith('\n')) return;
+
+    const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+    fs.writeFileSync(filePath, complete);
+    segment.bytes = Buffer.byteLength(complete);
+    segment.records = complete.split('\n').filter((line) => line.trim()).length;
+  }
+
+  /**
+   * Append one result, rotating first if the open segment is full
+   */
+  append(result) {
+    const line = JSON.stringify(result) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    if (this.current && this.isFull(this.current, bytes)) {
+      this.rotate();
+    }
+    if (!this.current) {
+      this.startSegment();
+    }
+
+    fs.appendFileSync(path.join(this.dir, this.current.file), line);
+    this.current.records++;
+    this.current.bytes += bytes;
+  }
+
+  isFull(segment, nextBytes) {
+    if (segment.records === 0) return false;
+    if (this.maxSegmentRecords && segment.records >= this.maxSegmentRecords) return true;
+    return Boolean(this.maxSegmentBytes) && segment.bytes + nextBytes > this.maxSegmentBytes;
+  }
+
+  startSegment() {
+    const index = this.segments.length ? this.segments[this.segments.length - 1].index + 1 : 0;
+    this.current = {
+      file: `results-${this.runId}-${index}.jsonl`,
+      index,
+      records: 0,
+      bytes: 0,
+      compressed: false,
+      startedAt: new Date().toISOString(),
+      closedAt: null,
+    };
+    this.segments.push(this.current);
+  }
+
+  /**
+   * Close the open segment (gzipping it if configured) and update the manifest
+   */
+  rotate() {
+    if (!this.current) return;
+    const segment = this.current;
+    this.current = null;
+
+    if (this.compress) {
+      const filePath = path.join(this.dir, segment.file);
+      const gzipped = zlib.gzipSync(fs.readFileSync(filePath));
+      fs.writeFileSync(`${filePath}.gz`, gzipped);
+      fs.unlinkSync(filePath);
+      segment.file += '.gz';
+      segment.compressed = true;
+      segment.compressedBytes = gzipped.length;
+    }
+    segment.closedAt = new Date().toISOString();
+    this.writeManifest();
+  }
+
+  /**
+   * Close the open segment and write the final manifest, recording how the run ended
+   */
+  close({ completed = null, stopReason = null } = {}) {
+    this.completed = completed;
+    this.stopReason = stopReason;
+    if (this.current) {
+      this.rotate();
+    } else {
+      this.writeManifest();
+    }
+    return this.getManifest();
+  }
+
+  getManifestPath() {
+    return path.join(this.dir, `manifest-${this.runId}.json`);
+  }
+
+  readManifest() {
+    try {
+      return JSON.parse(fs.readFileSync(this.getManifestPath(), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  getManifest() {
+    return {
+      runId: this.runId,
+      updatedAt: new Date().toISOString(),
+      totalRecords: this.segments.reduce((sum, segment) => sum + segment.records, 0),
+      totalBytes: this.segments.reduce((sum, segment) => sum + segment.bytes, 0),
+      completed: this.completed, // null while the run is going (or was interrupted)
+      stopReason: this.stopReason,
+      segments: this.segments.map((segment) => ({ ...segment })),
+    };
+  }
+
+  /**
+   * Write the manifest atomically (temp file + rename)
+   */
+  writeManifest() {
+    const filePath = this.getManifestPath();
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(this.getManifest(), null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  /**
+   * Summary in the crawler's storageStats shape
+   */
+  getStats() {
+    const manifest = this.getManifest();
+    return {
+      fileCount: this.segments.length,
+      totalSize: manifest.totalBytes,
+      totalResults: manifest.totalRecords,
+      currentFile: this.current ? this.current.file : null,
+      currentSize: this.current ? this.current.bytes : 0,
+    };
+  }
+
+  /**
+   * Segment files of a run, in write order
+   */
+  static listSegments(dir, runId) {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .map((file) => ({ file, match: file.match(SEGMENT_PATTERN) }))
+      .filter(({ match }) => match && match[1] === runId)
+      .map(({ file, match }) => ({ file, index: Number(match[2]), compressed: Boolean(match[3]) }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Run ids with stored results, oldest first
+   */
+  static listRuns(dir) {
+    if (!fs.existsSync(dir)) return [];
+    const runs = new Set();
+    for (const file of fs.readdirSync(dir)) {
+      const match = file.match(SEGMENT_PATTERN);
+      if (match) runs.add(match[1]);
+    }
+    return Array.from(runs).sort();
+  }
+
+  /**
+   * Records of one segment file (gzipped or not)
+   */
+  static readSegment(filePath) {
+    let content = fs.readFileSync(filePath);
+    if (filePath.endsWith('.gz')) content = zlib.gunzipSync(content);
+
+    const records = [];
+    for (const line of content.toString('utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Skip a partially written last line
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Every record of a run, one segment in memory at a time
+   */
+  static *readRecords(dir, runId) {
+    for (const { file } of ResultStore.listSegments(dir, runId)) {
+      yield* ResultStore.readSegment(path.join(dir, file));
+    }
+  }
+}
+
+module.exports = { ResultStore };
@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * WARC ARCHIVING
+ *
+ * Writes every fetch as WARC/1.1 records to archive-<runId>-<n>.warc(.gz):
+ *
+ *   warcinfo   - once per file: software and crawl settings
+ *   request    - the HTTP request as sent
+ *   response   - status line, headers and body
+ *   metadata   - fetch timing and crawl depth (refers to the response)
+ *
+ * Compressed files gzip each record separately, so a record can be read
+ * from its offset without decompressing the file. Bodies are stored as
+ * decoded by the HTTP client: Content-Encoding and Transfer-Encoding are
+ * dropped from the stored headers and Content-Length matches the body.
+ */
+
+const WARC_VERSION = 'WARC/1.1';
+const CRLF = '\r\n';
+const DROPPED_RESPONSE_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length'];
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32, the customary encoding of WARC SHA-1 digests
+ */
+function base32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function sha1Digest(buffer) {
+  return 'sha1:' + base32(crypto.createHash('sha1').update(buffer).digest());
+}
+
+class WarcWriter {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.runId = options.runId;
+    this.maxFileBytes = options.maxFileBytes ?? 100 * 1024 * 1024;
+    this.compress = options.compress ?? true;
+    this.info = options.info ?? {}; // warcinfo fields, e.g. { software, robots }
+    this.current = null; // { file, path, bytes }
+    this.nextIndex = 0;
+    this.recordCount = 0;
+  }
+
+  /**
+   * Start numbering after files already written for this run (resume)
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const pattern = new RegExp(`^archive-${this.runId}-(\\d+)\\.warc(\\.gz)?$`);
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = file.match(pattern);
+      if (match) this.nextIndex = Math.max(this.nextIndex, Number(match[1]) + 1);
+    }
+    return this;
+  }
+
+  /**
+   * Archive one fetch. exchange: { url, date, requestHead, responseHead, body,
+   * responseTime, depth }. Returns the response record's { file, offset, length }.
+   */
+  writeExchange(exchange) {
+    if (!this.current || this.current.bytes >= this.maxFileBytes) {
+      this.startFile();
+    }
+
+    const date = (exchange.date || new Date()).toISOString();
+    const responseId = WarcWriter.recordId();
+    const body = exchange.body || Buffer.alloc(0);
+    const responseBlock = Buffer.concat([Buffer.from(exchange.responseHead), body]);
+
+    const response = this.writeRecord(
+      {
+        'WARC-Type': 'response',
+        'WARC-Record-ID': responseId,
+        'WARC-Date': date,
+        'WARC-Target-URI': exchange.url,
+        'WARC-Payload-Digest': sha1Digest(body),
+        'WARC-Block-Digest': sha1Digest(responseBlock),
+        'Content-Type': 'application/http;msgtype=response',
+      },
+      responseBlock
+    );
+
+    if (exchange.requestHead) {
+      this.writeRecord(
+        {
+          'WARC-Type': 'request',
+          'WARC-Record-ID': WarcWriter.recordId(),
+          'WARC-Date': date,
+          'WARC-Target-URI': exchange.url,
+          'WARC-Concurrent-To': responseId,
+          'Content-Type': 'application/http;msgtype=request',
+        },
+        Buffer.from(exchange.requestHead)
+      );
+    }
+
+    const fields = [`fetchTimeMs: ${exchange.responseTime ?? ''}`];
+    if (exchange.depth !== undefined) fields.push(`depth: ${exchange.depth}`);
+    this.writeRecord(
+      {
+        'WARC-Type': 'metadata',
+        'WARC-Record-ID': WarcWriter.recordId(),
+        'WARC-Date': date,
+        'WARC-Target-URI': exchange.url,
+        'WARC-Refers-To': responseId,
+        'Content-Type': 'application/warc-fields',
+      },
+      Buffer.from(fields.join(CRLF) + CRLF)
+    );
+
+    return response;
+  }
+
+  startFile() {
+    const file = `archive-${this.runId}-${this.nextIndex++}.warc${this.compress ? '.gz' : ''}`;
+    this.current = { file, path: path.join(this.dir, file), bytes: 0 };
+    fs.writeFileSync(this.current.path, '');
+
+    const fields = Object.entries({ format: 'WARC File Format 1.1', ...this.info })
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(CRLF);
+    this.writeRecord(
+      {
+        'WARC-Type': 'warcinfo',
+        'WARC-Record-ID': WarcWriter.recordId(),
+        'WARC-Date': new Date().toISOString(),
+        'WARC-Filename': file,
+        'Content-Type': 'application/warc-fields',
+      },
+      Buffer.from(fields + CRLF)
+    );
+  }
+
+  /**
+   * Append one record; returns { file, offset, length } of its bytes on disk
+   */
+  writeRecord(headers, block) {
+    const head = [WARC_VERSION, ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)];
+    head.push(`Content-Length: ${block.length}`);
+
+    let record = Buffer.concat([Buffer.from(head.join(CRLF) + CRLF + CRLF), block, Buffer.from(CRLF + CRLF)]);
+    if (this.compress) record = zlib.gzipSync(record);
+
+    const offset = this.current.bytes;
+    fs.appendFileSync(this.current.path, record);
+    this.current.bytes += record.length;
+    this.recordCount++;
+    return { file: this.current.file, offset, length: record.length };
+  }
+
+  close() {
+    this.current = null;
+  }
+
+  static recordId() {
+    return `<urn:uuid:${crypto.randomUUID()}>`;
+  }
+
+  /**
+   * HTTP response head as stored in a response record. rawHeaders is the
+   * flat [name, value, ...] list from Node; headers the parsed fallback.
+   */
+  static responseHead({ httpVersion = '1.1', status, statusText = '', rawHeaders, headers = {}, bodyLength }) {
+    const pairs = [];
+    if (rawHeaders && rawHeaders.length) {
+      for (let i = 0; i < rawHeaders.length; i += 2) pairs.push([rawHeaders[i], rawHeaders[i + 1]]);
+    } else {
+      for (const [name, value] of Object.entries(headers)) {
+        [].concat(value).forEach((v) => pairs.push([name, v]));
+      }
+    }
+
+    const lines = [`HTTP/${httpVersion} ${status} ${statusText}`.trimEnd()];
+    for (const [name, value] of pairs) {
+      if (!DROPPED_RESPONSE_HEADERS.includes(name.toLowerCase())) lines.push(`${name}: ${value}`);
+    }
+    lines.push(`Content-Length: ${bodyLength}`);
+    return lines.join(CRLF) + CRLF + CRLF;
+  }
+}
+
+/**
+ * Reads WARC files written by WarcWriter (or any WARC/1.x file)
+ */
+class WarcReader {
+  /**
+   * Every record in a file: { type, headers, block, uri, date }
+   */
+  static *records(filePath) {
+    let data = fs.readFileSync(filePath);
+    if (filePath.endsWith('.gz')) data = zlib.gunzipSync(data);
+
+    let position = 0;
+    while (position < data.length) {
+      const record = WarcReader.parseRecord(data, position);
+      if (!record) break;
+      position = record.end;
+      yield record.record;
+    }
+  }
+
+  /**
+   * The record at a { file, offset, length } location (as stored on results)
+   */
+  static readRecord(filePath, offset, length) {
+    const fd = fs.openSync(filePath, 'r');
+    let data;
+    try {
+      data = Buffer.alloc(length);
+      fs.readSync(fd, data, 0, length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (filePath.endsWith('.gz')) data = zlib.gunzipSync(data);
+
+    const parsed = WarcReader.parseRecord(data, 0);
+    if (!parsed) throw new Error(`No WARC record at ${filePath}:${offset}`);
+    return parsed.record;
+  }
+
+  /**
+   * Parse the record starting at position; returns { record, end } or null
+   */
+  static parseRecord(data, position) {
+    // Tolerate stray CRLFs between records
+    while (data[position] === 0x0d || data[position] === 0x0a) position++;
+    if (position >= data.length) return null;
+
+    const headerEnd = data.indexOf(CRLF + CRLF, position);
+    if (headerEnd === -1) return null;
+
+    const [versionLine, ...lines] = data.toString('utf8', position, headerEnd).split(CRLF);
+    if (!versionLine.startsWith('WARC/')) {
+      throw new Error(`Not a WARC record at byte ${position}`);
+    }
+
+    const headers = {};
+    for (const line of lines) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+    }
+
+    const blockStart = headerEnd + 4;
+    const length = Number(headers['Content-Length'] || 0);
+    const block = data.subarray(blockStart, blockStart + length);
+
+    return {
+      record: {
+        type: headers['WARC-Type'],
+        uri: headers['WARC-Target-URI'] || null,
+        date: headers['WARC-Date'] || null,
+        headers,
+        block,
+      },
+      end: blockStart + length + 4,
+    };
+  }
+
+  /**
+   * Split a response record's block into { status, statusText, headers, body };
+   * header names are lower-cased like the HTTP client's
+   */
+  static parseHttpResponse(block) {
+    const headerEnd = block.indexOf(CRLF + CRLF);
+    const head = block.toString('latin1', 0, headerEnd === -1 ? block.length : headerEnd);
+    const [statusLine, ...lines] = head.split(CRLF);
+    const [, status, statusText = ''] = statusLine.match(/^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/) || [];
+
+    const headers = {};
+    for (const line of lines) {
+      const colon = line.indexOf(':');
+      if (colon <= 0) continue;
+      const name = line.slice(0, colon).trim().toLowerCase();
+      const value = line.slice(colon + 1).trim();
+      headers[name] = name in headers ? `${headers[name]}, ${value}` : value;
+    }
+
+    return {
+      status: Number(status),
+      statusText,
+      headers,
+      body: headerEnd === -1 ? Buffer.alloc(0) : block.subarray(headerEnd + 4),
+    };
+  }
+
+  /**
+   * Parse the fields of a warcinfo / metadata record
+   */
+  static parseFields(block) {
+    const fields = {};
+    for (const line of block.toString('utf8').split(CRLF)) {
+      const colon = line.indexOf(':');
+      if (colon > 0) fields[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+    }
+    return fields;
+  }
+}
+
+module.exports = { WarcWriter, WarcReader };